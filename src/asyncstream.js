@@ -1,14 +1,185 @@
 'use strict';
 
 const { and, or } = require('tristate-logic');
+const { natural, descending, by } = require('./comparators');
+const { SYSTEM_CLOCK } = require('./clock');
+const { AbortError, BufferOverflowError, TimeoutError } = require('./errors');
+const Heap = require('./heap');
+const LruSet = require('./lru');
+const RateLimiter = require('./ratelimiter');
+const { JOIN_ROWS, isCombined } = require('./join');
+
+// Modules which depend on Node.js built-ins are required only by the methods which use them, so that the rest
+// of this module can also be loaded in a browser.
 
 /** @typedef {Object} AsyncIterator
 *
 * An object returning successive values from some underlying collection.
 * 
 * @property next {Function} return next item as an __Promise__ of an {@link IteratorValue}
+* @property [return] {Function} optional; release any resources held by the iterator, returning a __Promise__ of a final {@link IteratorValue}
+* @property [throw] {Function} optional; signal an error to the iterator, returning a __Promise__ of the next {@link IteratorValue}
+*/
+
+/** @typedef {Object} AsyncIterable
+*
+* Object that can be iterated over asynchronously, such as an async generator
+*
+* @property Symbol.asyncIterator {Function} return an {@link AsyncIterator} over items in this collection 
+*/
+
+/** Close an asynchronous iterator, if it supports the optional return method of the iterator protocol.
+*
+* @private
+* @param iterator {AsyncIterator} iterator to close
+* @param [value] {Object} value to return
+* @returns {Promise<IteratorValue>} the result of calling return on the iterator, or { done: true, value }
+*/
+function closeIterator(iterator, value) {
+	if (iterator && typeof iterator.return === 'function') return Promise.resolve(iterator.return(value));
+	return Promise.resolve({ done: true, value });
+}
+
+/** Signal an error to an asynchronous iterator.
+*
+* If the iterator does not support the optional throw method of the iterator protocol, it is closed and the 
+* returned promise is rejected with the error.
+*
+* @private
+* @param iterator {AsyncIterator} iterator to signal
+* @param error {Error} error to throw into the iterator
+* @returns {Promise<IteratorValue>} the result of calling throw on the iterator
+*/
+function throwIterator(iterator, error) {
+	if (iterator && typeof iterator.throw === 'function') return Promise.resolve(iterator.throw(error));
+	return closeIterator(iterator).then(() => { throw error; });
+}
+
+/** Get an asynchronous iterator over the items in an async iterable, an iterable, or an iterator.
+*
+* Iterators from synchronous iterables are adapted so that next, return and throw all return promises, and any
+* other object with a next method is treated as an iterator in the same way. As with `for await...of`, items which
+* are promises are awaited.
+*
+* @private
+* @param source {AsyncIterable|Iterable|AsyncIterator|Iterator} source of items
+* @returns {AsyncIterator} an iterator over the items in source
+*/
+function asyncIteratorOf(source) {
+	if (typeof source[Symbol.asyncIterator] === 'function') return source[Symbol.asyncIterator]();
+	let iterator = typeof source[Symbol.iterator] === 'function' ? source[Symbol.iterator]() : source;
+	return {
+		next: () => Promise.resolve(iterator.next())
+			.then(({ done, value }) => done ? { done, value } : Promise.resolve(value).then(value => ({ done, value }))),
+		return: value => closeIterator(iterator, value),
+		throw: error => throwIterator(iterator, error)
+	};
+}
+
+/** Build a stream from another stream when the first item is requested.
+*
+* Used by operations which must read some other input before they can return anything. The source is closed if the
+* returned stream is closed or fails before the stream has been built; afterwards, closing is left to the built stream.
+*
+* @private
+* @param source {BaseAsyncStream} stream from which the built stream reads
+* @param build {Function} function which returns the stream, or a promise of it
+* @returns {BaseAsyncStream} a stream which reads from the built stream
+*/
+function deferred(source, build) {
+	let built = false;
+	return AsyncStream.of(null)
+		.flatten(() => Promise.resolve().then(build).then(stream => {
+			built = true;
+			return stream;
+		}))
+		.onClose(() => built ? undefined : closeIterator(source));
+}
+
+/** Build the groups of items to join using a hash table.
+*
+* The whole of the right stream is read into a hash table when the first group is requested. Each item in the left 
+* stream is then returned as a single-item group together with all the items in the table with the same key. 
+*
+* @private
+* @param left {BaseAsyncStream} left input
+* @param right {BaseAsyncStream} right input, which is buffered
+* @param key {Function} function to get the key of a left item; may return a promise
+* @param otherKey {Function} function to get the key of a right item; may return a promise
+* @param outer {boolean} if true, finally return a group for each key in right that matched no item in left
+* @returns {BaseAsyncStream<Array>} a stream of [lefts, rights] groups
+*/
+function hashJoinGroups(left, right, key, otherKey, outer) {
+	return deferred(left, () => right.groupBy(otherKey).then(table => {
+		let matched = new Set();
+		let groups = left.map(item => Promise.resolve(key(item)).then(k => {
+			let rights = table.get(k);
+			if (rights) matched.add(k);
+			return [ [ item ], rights ];
+		}));
+		if (!outer) return groups;
+		return groups.concat(AsyncStream.from(table).filter(([k]) => !matched.has(k)).map(([k, rights]) => [ undefined, rights ]));
+	}));
+}
+
+/** Race a promise against an AbortSignal.
+*
+* @private
+* @param promise {Promise} promise to race
+* @param signal {AbortSignal} signal which, when aborted, rejects the returned promise
+* @param onAbort {Function} function called if the signal is aborted before the promise settles
+* @returns {Promise} the result of promise, or rejected with an {@link AbortError} as soon as the signal is aborted
+*/
+function untilAborted(promise, signal, onAbort) {
+	let listener;
+	let aborted = new Promise((resolve, reject) => {
+		listener = () => {
+			reject(new AbortError(signal.reason));
+			onAbort();
+		};
+	});
+	if (signal.aborted) listener(); else signal.addEventListener('abort', listener, { once: true });
+	let cleanup = () => signal.removeEventListener('abort', listener);
+	return Promise.race([ promise, aborted ]).then(
+		result => { cleanup(); return result; },
+		error => { cleanup(); throw error; }
+	);
+}
+
+/** Wait for a given period.
+*
+* @private
+* @param ms {number} milliseconds to wait
+* @param [clock] {Clock} source of timers - defaults to the system clock
+* @returns {Promise} resolves after the given number of milliseconds
+*/
+function delay(ms, clock = SYSTEM_CLOCK) {
+	return new Promise(resolve => clock.setTimeout(resolve, ms));
+}
+
+/** @typedef {Object} TerminalOptions
+*
+* Options accepted by operations which consume a stream.
+*
+* @property [signal] {AbortSignal} signal which, when aborted, stops the operation: the stream is closed, no more items
+* are requested from it, and the returned promise is rejected with an {@link AbortError}
 */
 
+/** @typedef {Object} PushControls
+*
+* Functions passed to the producer of a push-based stream.
+*
+* @property push {Function} add an item to the stream; returns a promise which resolves to true once the item has
+* been accepted, or false if it was dropped
+* @property end {Function} end the stream once all the items already pushed have been read
+* @property error {Function} fail the stream with the given error once all the items already pushed have been read
+*/
+
+/** Policies for handling an item pushed into a full buffer.
+* @private
+*/
+const OVERFLOW_POLICIES = [ 'block', 'drop-oldest', 'drop-newest', 'error' ];
+
 /** Base stream clase that provides core asynchronous stream operations.
 *
 * A async stream is an {@link AsyncIterator} with bells on. Various utility methods are provided
@@ -17,16 +188,272 @@ const { and, or } = require('tristate-logic');
 * as a drop-in replacement. In many cases the lazy nature of the stream API (and avoidance of array copies)
 * will make the updated code more efficient than using simple arrays.
 *
+* Async streams also support the optional `return` and `throw` methods of the iterator protocol. Calling `return` 
+* closes a stream and every stream or iterator upstream of it, so that resources such as open generators are
+* released. Terminal operations which stop early (such as `find` or `some`) close the stream automatically, as do
+* terminal operations which fail because a callback throws an error.
+*
+* Any callback passed to an async stream operation (mappers, predicates, reducers and so on) may return a promise.
+* The stream waits for the promise to resolve before moving on to the next item, so callbacks are always executed
+* one at a time and in stream order. If the promise is rejected, the operation fails with the same error.
+*
+* Operations check their arguments when they are called. An operation which returns a stream throws an error (usually
+* a RangeError) if an argument is invalid; a terminal operation, which returns a promise, instead returns a rejected
+* promise.
+*
 */
 class BaseAsyncStream {
 
-	/** Concatenate this stream with another stream (or an iterator)
+	/** Get an asynchronous iterator over this stream.
+	*
+	* An async stream is its own iterator, so any async stream can be used with `for await...of`.
+	*
+	* @returns {BaseAsyncStream} this stream
+	*/
+	[Symbol.asyncIterator]() {
+		return this;
+	}
+
+	/** Find the items in this stream which have no matching item in another stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. The combiner is not used.
+	*
+	* @param other {AsyncIterable|Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseAsyncStream} a stream containing items in this stream whose key matches no item in other
+	*/
+	antiJoin(other, options) {
+		return this._join('anti', other, options);
+	}
+
+	/** Collect the items in the stream into arrays, one for each period of time.
+	*
+	* The stream is read as fast as it will supply items. Every ms milliseconds, any items read since the previous array
+	* are returned as an array; an array is also returned early if it reaches maxSize items, and any remaining items
+	* are returned when the stream ends. Periods in which no items were read produce no array. If an array is ready
+	* while the previous one has still not been read, reading pauses until the consumer catches up.
+	*
+	* @param ms {number} length of each period in milliseconds
+	* @param [maxSize=Infinity] {number} maximum number of items in each array
+	* @param [options] {Object} options
+	* @param [options.clock] {Clock} source of time and timers - defaults to the system clock
+	* @returns {BaseAsyncStream<Array>} a stream of arrays of items
+	*/
+	bufferTime(ms, maxSize = Infinity, { clock = SYSTEM_CLOCK } = {}) {
+		return AsyncStream.create(({ push, end, error }) => {
+			let buffer = [];
+			let pending = Promise.resolve();
+			let flush = () => {
+				if (buffer.length > 0) pending = push(buffer);
+				buffer = [];
+			};
+			let tick = () => {
+				flush();
+				timer = clock.setTimeout(tick, ms);
+			};
+			let timer = clock.setTimeout(tick, ms);
+			this.forEach(item => {
+				buffer.push(item);
+				if (buffer.length >= maxSize) flush();
+				return pending;
+			}).then(
+				() => { clock.clearTimeout(timer); flush(); end(); },
+				err => { clock.clearTimeout(timer); error(err); }
+			);
+			return () => { clock.clearTimeout(timer); return this.return(); };
+		}, { bufferSize: 1, overflow: 'block' });
+	}
+
+	/** Memoize the items in this stream so that it can be read more than once.
+	*
+	* The returned stream reads items from this stream only as they are first needed, keeping them all in memory.
+	* Each time the returned stream is exhausted or closed, it starts again from the first item. If it is closed
+	* before all the items in this stream have been read, this stream is closed too, and later passes return only
+	* the items which had been read by then.
+	*
+	* @param [options] {Object} options
+	* @param [options.maxSize=Infinity] {number} maximum number of items to keep; reading more items than this fails with a {@link BufferOverflowError}
+	* @returns {BaseAsyncStream} a stream which can be iterated repeatedly
+	*/
+	cache({ maxSize = Infinity } = {}) {
+		return new CachedAsyncStream(new SharedAsyncSource(this, maxSize, true));
+	}
+
+	/** Recover from an error by continuing with a fallback stream.
+	*
+	* If retrieving an item from this stream fails (for example because a mapping function rejected), this
+	* stream is closed and handler is called with the error. The resulting stream then continues with the items
+	* from whatever async iterable, iterable, or promise of an iterable handler returns; if it returns undefined, the
+	* resulting stream simply ends. Only the first error is handled; errors from the fallback stream are not caught.
+	*
+	* @param handler {Function} function that takes an error and returns an {@link AsyncIterable} or {@link Iterable}
+	* @returns {BaseAsyncStream} a stream containing the items in this stream up to the error, then items from the fallback
+	*/
+	catchError(handler) {
+		return new CatchingAsyncStream(this, handler);
+	}
+
+	/** Group items into arrays of a given size.
+	*
+	* The final array will contain fewer than size items if the number of items in the stream is not an
+	* exact multiple of size.
+	*
+	* @param size {number} number of items in each chunk
+	* @returns {BaseAsyncStream<Array>} a stream of arrays of adjacent items
+	*/
+	chunk(size) {
+		if (!(size >= 1)) throw new RangeError('size must be >= 1');
+		return new ChunkAsyncStream(this, size);
+	}
+
+	/** Find the k smallest items in the stream.
+	*
+	* Uses a heap, so at most k items are held in memory at any one time.
+	*
+	* @param k {number} number of items to find
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Array>} resolves to the k smallest items, smallest first; rejected with a RangeError if k is negative
+	*/
+	bottomK(k, comparator = natural, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.bottomK(k, comparator));
+		if (!(k >= 0)) return Promise.reject(new RangeError('k must be >= 0'));
+		let heap = new Heap(descending(comparator));
+		let offer = item => {
+			if (heap.size < k) heap.push(item);
+			else if (k > 0 && comparator(item, heap.peek()) < 0) heap.replace(item);
+		};
+		return this.forEach(offer).then(() => heap.drain().reverse());
+	}
+
+	/** Group runs of adjacent items into arrays.
+	*
+	* Each item is added to the current chunk while predicate(previous, item) evaluates to true; otherwise it 
+	* starts a new chunk.
+	*
+	* @param predicate {Function} takes the previous item and the current item, returning true (or a promise of true) if they belong in the same chunk
+	* @returns {BaseAsyncStream<Array>} a stream of arrays of adjacent items
+	*/
+	chunkWhile(predicate) {
+		return new ChunkWhileAsyncStream(this, predicate);
+	}
+
+	/** Concatenate this stream with another stream (or an iterable or iterator, either synchronous or asynchronous)
 	*
-	* @param iterator {AsyncIterator} items to concatenate
+	* @param iterator {AsyncIterable|Iterable|AsyncIterator|Iterator} items to concatenate
 	* @returns {BaseAsyncStream} a new stream that iterates over all items in this stream, then all items in the supplied iterator
 	*/
 	concat(iterator) {
-		return new ConcatenatedAsyncStream(this, iterator);
+		return new ConcatenatedAsyncStream(this, asyncIteratorOf(iterator));
+	}
+
+	/** Parse a stream of text chunks as comma separated values, as described in RFC 4180.
+	*
+	* Chunks may split records, or even quoted fields, at any point. If options.header is true, the first record
+	* supplies the names of the fields and every later record is converted to an object with those property names;
+	* if it is an array of names, every record is converted to an object. Otherwise each record is an array of strings.
+	*
+	* @param [options] {Object} options
+	* @param [options.header=false] {boolean|string[]} true to read field names from the first record, or an array of field names
+	* @param [options.delimiter=','] {string} character which separates fields
+	* @param [options.encoding='utf8'] {string} encoding of any chunks which are Buffers
+	* @returns {BaseAsyncStream<Array|Object>} a stream of records; fails with a SyntaxError if the text ends inside a quoted field
+	*/
+	csv(options) {
+		return require('./text').csv(this, options);
+	}
+
+	/** Return only those items which are not followed by another item within a given time.
+	*
+	* The stream is read as fast as it will supply items. Each item is held for ms milliseconds, and returned only if no
+	* other item is read in that time. The last item is always returned when the stream ends. If an item is ready
+	* while the previous one has still not been read, reading pauses until the consumer catches up.
+	*
+	* @param ms {number} time in milliseconds for which the stream must be quiet before an item is returned
+	* @param [options] {Object} options
+	* @param [options.clock] {Clock} source of time and timers - defaults to the system clock
+	* @returns {BaseAsyncStream} a stream containing the last item of each burst of items
+	*/
+	debounce(ms, { clock = SYSTEM_CLOCK } = {}) {
+		return AsyncStream.create(({ push, end, error }) => {
+			let timer = null;
+			let latest;
+			let pending = Promise.resolve();
+			let cancel = () => {
+				if (timer !== null) clock.clearTimeout(timer);
+				timer = null;
+			};
+			this.forEach(item => {
+				cancel();
+				latest = item;
+				timer = clock.setTimeout(() => { timer = null; pending = push(item); }, ms);
+				return pending;
+			}).then(
+				() => {
+					if (timer !== null) push(latest);
+					cancel();
+					end();
+				},
+				err => { cancel(); error(err); }
+			);
+			return () => { cancel(); return this.return(); };
+		}, { bufferSize: 1, overflow: 'block' });
+	}
+
+	/** Remove duplicate items from the stream.
+	*
+	* The first item with any given key is kept and later items with the same key are dropped. Keys are compared as
+	* in a Set. Every key seen is remembered unless options.maxKeys is set.
+	*
+	* @param [key] {Function} function to get the key of an item; may return a promise - defaults to the item itself
+	* @param [options] {DistinctOptions} options
+	* @returns {BaseAsyncStream} a stream containing the first item with each key
+	*/
+	distinct(key = e=>e, { maxKeys } = {}) {
+		let seen = maxKeys === undefined ? new Set() : new LruSet(maxKeys);
+		return this.filter(item => Promise.resolve(key(item)).then(k => {
+			let fresh = !seen.has(k);
+			seen.add(k);
+			return fresh;
+		}));
+	}
+
+	/** Remove items which are equal to the item immediately before them.
+	*
+	* Only the previous item is remembered, so this is a cheap way to remove duplicates from a sorted stream.
+	*
+	* @param [equals] {Function} function which takes two items and returns true if they are equal - defaults to ===
+	* @returns {BaseAsyncStream} a stream in which no item is equal to the item before it
+	*/
+	distinctUntilChanged(equals = (a, b) => a === b) {
+		let started = false;
+		let previous;
+		return this.filter(item => Promise.resolve(!started || !equals(previous, item)).then(changed => {
+			started = true;
+			previous = item;
+			return changed;
+		}));
+	}
+
+	/** Skip the first n items in the stream.
+	*
+	* Equivalent to slice(n).
+	*
+	* @param n {number} number of items to skip
+	* @returns {BaseAsyncStream} a stream containing all but the first n elements of this stream
+	*/
+	drop(n) {
+		return this.slice(n);
+	}
+
+	/** Skip items in the stream while the predicate evaluates to true.
+	*
+	* @param predicate {Predicate} function to test items
+	* @param [context] {Object} data to pass through to test function
+	* @returns {BaseAsyncStream} a stream containing all elements of this stream starting with the first for which predicate evaluates to false
+	*/
+	dropWhile(predicate, context) {
+		return new DropWhileAsyncStream(this, predicate, context);
 	}
 
 	/** Create a stream of entries.
@@ -49,14 +476,34 @@ class BaseAsyncStream {
 	*
 	* @param predicate {Predicate} - to check 
 	* @param [context] {Object} - passed through to predicate (could be the collection we are iterating over)
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<boolean>} resolves to true if predicate evaluates to true for every element in the stream
 	*/
-	every(predicate, context) {
-		const reduction = (accumulator, item, i, ctx)=>and(accumulator, predicate(item, i, ctx));
+	every(predicate, context, options) {
+		const reduction = (accumulator, item, i, ctx)=>Promise.resolve(predicate(item, i, ctx)).then(result=>and(accumulator, result));
 		const condition = accumulator=>accumulator !== false;
-		return this.reduce(reduction, true, condition, context);
+		return this.reduce(reduction, true, condition, context, options);
 	}	
 
+	/** Get the distinct items in this stream which are not in another stream.
+	*
+	* The other stream is read in full when the first item is requested; only its keys are kept in memory.
+	*
+	* @param other {AsyncIterable|Iterable} items to exclude
+	* @param [key] {Function} function to get the key of an item in either stream; may return a promise - defaults to the item itself
+	* @param [options] {DistinctOptions} options for removing duplicates from this stream
+	* @returns {BaseAsyncStream} a stream containing the first item in this stream with each key not found in other
+	*/
+	except(other, key = e=>e, options) {
+		return deferred(this, () => AsyncStream.from(other).map(key).toArray().then(keys => {
+			keys = new Set(keys);
+			return this.map(item => Promise.resolve(key(item)).then(k => [ k, item ]))
+				.distinct(([k]) => k, options)
+				.filter(([k]) => !keys.has(k))
+				.map(([, item]) => item);
+		}));
+	}
+
 	/** Filter a stream
 	* 
 	* @param predicate {Predicate} predicate to select items from stream
@@ -71,46 +518,54 @@ class BaseAsyncStream {
 	*
 	* @param predicate {Predicate} function to test items
 	* @param [context] {Object} data to pass through to test function
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise} resolves to the first item in the stream for which predicate evaluates to true
 	*/
-	find(predicate, context) {
+	find(predicate, context, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.find(predicate, context));
 		let index = 0;
 
 		let check = ({done, value}) => {
 			if (done) return undefined;
-			if (predicate(value, index++, context)) return value;
-			return this.next().then(check);
+			return Promise.resolve(predicate(value, index++, context)).then(found => 
+				found ? this.return().then(() => value) : this.next().then(check)
+			);
 		}
 
-		return this.next().then(check);
+		return this._terminal(this.next().then(check));
 	}
 
 	/** Find the index of the first item in a stream for which the predicate evalues to true.
 	*
 	* @param predicate {Predicate} function to test items
 	* @param [context] {Object} data to pass through to test function
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<number>} resolves to the index of first item in the stream for which predicate evaluates to true, or -1
 	*/
-	findIndex(predicate, context) {
+	findIndex(predicate, context, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.findIndex(predicate, context));
 		let index = 0;
 
 		let check = ({done, value}) => {
 			if (done) return -1;
-			if (predicate(value, index, context)) return index;
-			index++;
-			return this.next().then(check);
+			return Promise.resolve(predicate(value, index, context)).then(found => {
+				if (found) return this.return().then(() => index);
+				index++;
+				return this.next().then(check);
+			});
 		}
 
-		return this.next().then(check);
+		return this._terminal(this.next().then(check));
 	}
 
 
 	/** Flatten a nested structure by iterating over the stream returned by stream_accessor for each item in this stream.
 	*
-	* If a stream accessor is not provided, an attempt will be made to use AsyncStream.from(e) to retrieve a stream from
-	* each element e of this stream. This works fine if e is an {@link Iterable}.
+	* If a stream accessor is not provided, each element e of this stream is itself flattened; this works if e is an
+	* {@link Iterable}, an {@link AsyncIterable} or an iterator. Inner streams are read one at a time, and only as items are
+	* requested. The stream fails with a TypeError if an element (or the result of stream_accessor) is not iterable.
 	*
-	* @param [stream_accessor] {Function} function that returns a stream given an object in this stream
+	* @param [stream_accessor] {Function} function that returns a stream, an iterator, or a synchronous or asynchronous iterable (or a promise of one) given an object in this stream
 	* @returns {BaseAsyncStream} stream that iterates over every object in every stream returned by stream_accessor.
 	*/
 	flatten(stream_accessor) {
@@ -119,53 +574,168 @@ class BaseAsyncStream {
 
 	/** Execute callback for every element in stream
 	*
+	* The index passed to the callback counts from 1 (unlike {@link BaseStream#forEach}, which counts from 0).
+	*
 	* @param callback {ForEachCallback} function to execute
 	* @param context {Object} context passed through to callback (could be the collection we are iterating over)
-	* @@returns Promise resolved one all callbacks have been executed.
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise} resolved once all callbacks have been executed (and any promises they return have resolved).
 	*/
-	forEach(callback, context) {
+	forEach(callback, context, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.forEach(callback, context));
 		let index = 0;
 
 		let execute = ({done, value}) => {
 			if (!done) {
-				index++;
-				callback(value, index, context);
-				return this.next().then(execute);
+				return Promise.resolve(callback(value, ++index, context))
+					.then(() => this.next())
+					.then(execute);
 			}
 			return {done,value};
 		}
 
-		return this.next().then(execute);
+		return this._terminal(this.next().then(execute));
 	}	
 
+	/** Execute callback for every element in stream, with up to a given number of callbacks running at once.
+	*
+	* Equivalent to mapConcurrent(callback, { concurrency, ordered: false }, context).forEach(()=>{}).
+	*
+	* @param callback {ForEachCallback} function to execute; may return a promise
+	* @param options {Object} options
+	* @param options.concurrency {number} maximum number of callbacks in progress at any one time
+	* @param [options.signal] {AbortSignal} signal which, when aborted, stops the operation as described in {@link TerminalOptions}
+	* @param [context] {Object} context passed through to callback (could be the collection we are iterating over)
+	* @returns {Promise} resolved once all callbacks have been executed and any promises they return have resolved.
+	*/
+	forEachConcurrent(callback, { concurrency, signal } = {}, context) {
+		return this.mapConcurrent(callback, { concurrency, ordered: false }, context).forEach(() => undefined, undefined, { signal });
+	}
+
+	/** Join this stream with another stream, keeping unmatched items from both.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. In the result, unmatched items are paired with undefined; with the hash strategy, unmatched items from the other stream come last.
+	*
+	* @param other {AsyncIterable|Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseAsyncStream} a stream containing a row for every matching pair of items, plus a row for each unmatched item in either stream
+	*/
+	fullOuterJoin(other, options) {
+		return this._join('full', other, options);
+	}
+
+	/** Group items by key.
+	*
+	* By default, each group is an array of the items which have the same key. If a collector is supplied, each 
+	* group is instead reduced to a single value. The key function and the collector's functions may return promises.
+	*
+	* @param key {MapFunction} function to get the key of an item
+	* @param [collector] {Collector} reduces the items in each group to a single value
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Map>} resolves to a new Map from each key to the corresponding group
+	*/
+	groupBy(key, collector = {}, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.groupBy(key, collector));
+		const { initial = () => [], reducer = (group, item) => { group.push(item); return group; } } = collector;
+		let groups = new Map();
+		let count = 0;
+		return this.forEach(item => {
+			let index = count++;
+			return Promise.resolve(key(item, index))
+				.then(k => Promise.resolve(groups.has(k) ? groups.get(k) : initial(k))
+					.then(group => reducer(group, item, index))
+					.then(group => groups.set(k, group)));
+		}).then(() => groups);
+	}
+
+	/** Lazily group runs of adjacent items with the same key.
+	*
+	* Intended for streams which are already grouped (for example, sorted) by key, so that very large inputs can be 
+	* grouped without buffering. Returns a stream of entries [k, s] where k is a key and s is a stream of the adjacent
+	* items having that key; each group stream reads directly from this stream. Moving on to the next entry skips any
+	* items in the current group which have not yet been read, after which the current group stream is empty.
+	*
+	* @param key {MapFunction} function to get the key of an item; may return a promise
+	* @param [equals] {Function} function which takes two keys and returns true if they are the same - defaults to ===
+	* @returns {BaseAsyncStream<Entry>} a stream of [key, stream] entries
+	*/
+	groupAdjacent(key, equals = (a, b) => a === b) {
+		return new AdjacentGroupsAsyncStream(this, key, equals);
+	}
+
+	/** Count the items with each key.
+	*
+	* @param key {MapFunction} function to get the key of an item
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Map>} resolves to a new Map from each key to the number of items with that key
+	*/
+	countBy(key, options) {
+		return this.groupBy(key, { initial: () => 0, reducer: count => count + 1 }, options);
+	}
+
+	/** Join this stream with another stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}.
+	*
+	* @param other {AsyncIterable|Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseAsyncStream} a stream containing a row for every pair of items, one from each stream, with matching keys
+	*/
+	innerJoin(other, options) {
+		return this._join('inner', other, options);
+	}
+
+	/** Get the distinct items in this stream which are also in another stream.
+	*
+	* The other stream is read in full when the first item is requested; only its keys are kept in memory.
+	*
+	* @param other {AsyncIterable|Iterable} items to match
+	* @param [key] {Function} function to get the key of an item in either stream; may return a promise - defaults to the item itself
+	* @param [options] {DistinctOptions} options for removing duplicates from this stream
+	* @returns {BaseAsyncStream} a stream containing the first item in this stream with each key found in other
+	*/
+	intersect(other, key = e=>e, options) {
+		return deferred(this, () => AsyncStream.from(other).map(key).toArray().then(keys => {
+			keys = new Set(keys);
+			return this.map(item => Promise.resolve(key(item)).then(k => [ k, item ]))
+				.distinct(([k]) => k, options)
+				.filter(([k]) => keys.has(k))
+				.map(([, item]) => item);
+		}));
+	}
+
 	/** Test to see if stream includes a given value
 	*
 	* @param {Object} item value to look for
 	* @param [fromIndex=0] index to start looking 
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<boolean>} true if an item found which is strictly equal to the parameter item
 	*/
-	includes(item, fromIndex = 0) {
-		return this.slice(fromIndex).find(e => e === item).then(e => e !== undefined);
+	includes(item, fromIndex = 0, options) {
+		return this.slice(fromIndex).find(e => e === item, undefined, options).then(e => e !== undefined);
 	}
 
 	/** Find the index of the first item in a stream strictly equal to the given item
 	*
 	* @param item {Object} value to look for
 	* @param [fromIndex=0] {number} index to start looking (defaults to 0)
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<number>} resolves to the index of first item in the stream matching item, or -1
 	*/
-	indexOf(item, fromIndex = 0) {
+	indexOf(item, fromIndex = 0, options) {
 		return this.slice(fromIndex)
-			.findIndex(e => e === item)
+			.findIndex(e => e === item, undefined, options)
 			.then(search => search < 0 ? -1 : search + fromIndex);
 	}
 
 	/** Join elements into a string with optional separator
 	* 
 	* @param separator {String} string to use as separator
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<string>} resolves to all elements of stream joined into a string.
 	*/
-	join(separator) {
+	join(separator, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.join(separator));
 		return this.next().then( ({done,value})=>{
 			if (done) return "";
 			let result = new String(value);
@@ -173,6 +743,77 @@ class BaseAsyncStream {
 		});
 	}
 
+	/** Join this stream with another stream, keeping unmatched items from this stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. In the result, unmatched items are paired with undefined.
+	*
+	* @param other {AsyncIterable|Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseAsyncStream} a stream containing a row for every matching pair of items, plus a row for each item in this stream with no match
+	*/
+	leftJoin(other, options) {
+		return this._join('left', other, options);
+	}
+
+	/** Split a stream of text chunks into lines.
+	*
+	* Lines may be split between chunks. Lines are separated by LF or CRLF, which is not included in the result; a final
+	* line with no line break is included if it is not empty.
+	*
+	* @param [options] {Object} options
+	* @param [options.encoding='utf8'] {string} encoding of any chunks which are Buffers
+	* @returns {BaseAsyncStream<string>} a stream of lines
+	*/
+	lines(options) {
+		return require('./text').lines(this, options);
+	}
+
+	/** Find the largest item in the stream.
+	*
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Object>} resolves to the first item in the stream which is not smaller than any other item, or undefined if the stream is empty
+	*/
+	max(comparator = natural, options) {
+		return this.reduce((max, item, index) => index === 0 || comparator(item, max) > 0 ? item : max, undefined, undefined, undefined, options);
+	}
+
+	/** Find the item in the stream with the largest key.
+	*
+	* Equivalent to max(by(key, comparator)).
+	*
+	* @param key {Function} function to get the key of an item
+	* @param [comparator=natural] {Comparator} function used to order keys
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Object>} resolves to the first item in the stream with the largest key, or undefined if the stream is empty
+	*/
+	maxBy(key, comparator = natural, options) {
+		return this.max(by(key, comparator), options);
+	}
+
+	/** Find the smallest item in the stream.
+	*
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Object>} resolves to the first item in the stream which is not larger than any other item, or undefined if the stream is empty
+	*/
+	min(comparator = natural, options) {
+		return this.reduce((min, item, index) => index === 0 || comparator(item, min) < 0 ? item : min, undefined, undefined, undefined, options);
+	}
+
+	/** Find the item in the stream with the smallest key.
+	*
+	* Equivalent to min(by(key, comparator)).
+	*
+	* @param key {Function} function to get the key of an item
+	* @param [comparator=natural] {Comparator} function used to order keys
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Object>} resolves to the first item in the stream with the smallest key, or undefined if the stream is empty
+	*/
+	minBy(key, comparator = natural, options) {
+		return this.min(by(key, comparator), options);
+	}
+
 	/** Apply a map operation to a stream.
 	*
 	* @param mapper {MapFunction} map function 
@@ -183,6 +824,118 @@ class BaseAsyncStream {
 		return new MappingAsyncStream(this, mapper, context);
 	}
 
+	/** Apply a map operation to a stream, with up to a given number of mapper calls running at once.
+	*
+	* Items are retrieved from this stream one at a time, but mapper is called on each item without waiting for
+	* the promise returned by the previous call to resolve, up to the given concurrency limit. Results which
+	* have been computed but not yet retrieved from the returned stream count towards the limit.
+	*
+	* In ordered mode (the default) the resulting stream returns mapped items in the same order as this stream. 
+	* Otherwise, mapped items are returned in the order in which the mapper's promises resolve.
+	*
+	* Closing the resulting stream (for example by calling `find` or `slice` on it) closes this stream; any 
+	* mapper calls still in progress are allowed to complete, but their results are discarded.
+	*
+	* @param mapper {MapFunction} map function; may return a promise
+	* @param options {Object} options
+	* @param options.concurrency {number} maximum number of mapper calls in progress at any one time
+	* @param [options.ordered=true] {boolean} if false, return mapped items as soon as they are available
+	* @param [context] {Object} context passed through to mapping function
+	* @returns {BaseAsyncStream} a stream that is the result of applying mapper to every element in this stream.
+	*/
+	mapConcurrent(mapper, { concurrency, ordered = true } = {}, context) {
+		if (!(concurrency >= 1)) throw new RangeError('concurrency must be >= 1');
+		return new ConcurrentMappingAsyncStream(this, mapper, concurrency, ordered, context);
+	}
+
+	/** Parse a stream of text chunks as newline-delimited JSON.
+	*
+	* Each non-blank line is parsed as a JSON value.
+	*
+	* @param [options] {Object} options
+	* @param [options.encoding='utf8'] {string} encoding of any chunks which are Buffers
+	* @returns {BaseAsyncStream} a stream of parsed values; fails with a SyntaxError giving the line number if a line is not valid JSON
+	*/
+	ndjson(options) {
+		return require('./text').ndjson(this, options);
+	}
+
+	/** Register a callback to be executed when the stream is closed.
+	*
+	* The callback is executed exactly once, when the stream is exhausted, when `return` is called on the
+	* returned stream (for example because a terminal operation such as `find` stopped early), or when retrieving
+	* the next item fails. If the callback returns a promise, the stream waits for it to resolve. This makes it
+	* possible to release resources such as database cursors or sockets deterministically.
+	*
+	* @param callback {Function} function to execute when the stream is closed
+	* @returns {BaseAsyncStream} a stream containing the same items as this stream
+	*/
+	onClose(callback) {
+		return new ClosingAsyncStream(this, callback);
+	}
+
+	/** Split items into those which match a predicate and those which do not.
+	*
+	* @param predicate {Predicate} function to test items
+	* @param [context] {Object} data to pass through to test function
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Array>} resolves to a pair [matching, rest] of arrays
+	*/
+	partition(predicate, context, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.partition(predicate, context));
+		let matching = [];
+		let rest = [];
+		let index = 0;
+		return this.forEach(item => 
+			Promise.resolve(predicate(item, index++, context)).then(match => (match ? matching : rest).push(item))
+		).then(() => [ matching, rest ]);
+	}
+
+	/** Create a stream of pairs of adjacent items.
+	*
+	* Equivalent to window(2).
+	*
+	* @returns {BaseAsyncStream<Array>} a stream of [previous, current] pairs
+	*/
+	pairwise() {
+		return this.window(2);
+	}
+
+	/** Write every item in the stream to a Node.js writable stream or a web WritableStream.
+	*
+	* Waits for the writable stream to drain (or, for a web stream, to be ready) whenever its buffer is full. If the
+	* writable stream fails, this stream is closed; if this stream fails, the writable stream is destroyed (or aborted)
+	* with the same error. Either way the returned promise is rejected with the error.
+	*
+	* @param writable {stream.Writable|WritableStream} stream to write to
+	* @param [options] {Object} options
+	* @param [options.end=true] {boolean} if true, end (or close) the writable stream once all items are written
+	* @param [options.signal] {AbortSignal} signal which, when aborted, stops the operation as described in {@link TerminalOptions}
+	* @returns {Promise} resolved once all items are written and, if options.end is true, the writable stream has finished; rejected with a TypeError if writable is neither kind of stream
+	*/
+	pipeTo(writable, { end = true, signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.pipeTo(writable, { end }));
+		if (writable && typeof writable.getWriter === 'function') return this._pipeToWebStream(writable, end);
+		if (!writable || typeof writable.write !== 'function') {
+			return Promise.reject(new TypeError('pipeTo expects a Node.js writable stream or a web WritableStream'));
+		}
+		return require('./node').pipeToWritable(this, writable, end);
+	}
+
+	/** Read ahead of the consumer, holding up to n items in a buffer.
+	*
+	* Once the first item has been requested, items continue to be read from this stream (one at a time, in order)
+	* until n items are waiting to be collected, so that slow producers and slow consumers can work at the same time.
+	* Reading stops at the end of the stream or after the first error, which is reported when it is reached.
+	*
+	* @param n {number} maximum number of items to read ahead
+	* @returns {BaseAsyncStream} a stream containing the same items as this stream
+	*/
+	prefetch(n) {
+		if (!(n >= 1)) throw new RangeError('n must be >= 1');
+		return new PrefetchAsyncStream(this, n);
+	}
+
 	/** Add an element to a stream
 	*
 	* Equivalent to this.concat(Stream.from(arguments))
@@ -194,6 +947,27 @@ class BaseAsyncStream {
 		return this.concat(AsyncStream.from(arguments));
 	}
 
+	/** Pace the stream so that items are returned no faster than a given rate.
+	*
+	* Each request for an item takes a token from a token bucket, waiting for one to become available if the bucket is
+	* empty, before the item is requested from this stream; so a source such as a paginated API is called no faster
+	* than the rate allows. Passing a {@link RateLimiter} instead of options lets several streams draw from the same budget.
+	*
+	* @param limiter {RateLimiterOptions|RateLimiter} options for a new rate limiter, or a rate limiter to share
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, stops waiting for a token; the pending request
+	* for an item is then rejected with an {@link AbortError}
+	* @returns {BaseAsyncStream} a stream containing the same items as this stream
+	*/
+	rateLimit(limiter, { signal } = {}) {
+		if (!(limiter instanceof RateLimiter)) limiter = new RateLimiter(limiter);
+		return new AsyncStream({
+			next: () => limiter.acquire({ signal }).then(() => this.next()),
+			return: value => this.return(value),
+			throw: error => this.throw(error)
+		});
+	}
+
 	/** Reduces a stream of values to a single object by repeatedly applying a function.
 	*
 	* executes accumulator = callback(accumulator, element, index, context) for every element in the stream, or until
@@ -203,47 +977,204 @@ class BaseAsyncStream {
 	* @param accumulator {Object} initial value of accumulator
 	* @param [condition] {Predicate} condition for loop
 	* @param [context] Passed through to reduction function (could be the collection we are iterating over)
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise} resolves to the final value of the accumulator
 	*/
-	reduce(callback, accumulator, condition = ()=>true, context) {
+	reduce(callback, accumulator, condition = ()=>true, context, { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.reduce(callback, accumulator, condition, context));
 		let index = 0;
 
 		let execute = ({done, value}) => {
-			if (done || !condition(accumulator, index, value)) return accumulator;
-			accumulator = callback(accumulator, value, index++, context);
-			return this.next().then(execute);
+			if (done) return accumulator;
+			return Promise.resolve(condition(accumulator, index, value)).then(proceed => {
+				if (!proceed) return this.return().then(() => accumulator);
+				return Promise.resolve(callback(accumulator, value, index++, context))
+					.then(result => { accumulator = result; return this.next(); })
+					.then(execute);
+			});
 		}
 
-		return this.next().then(execute);
+		return this._terminal(this.next().then(execute));
 	}
 
 
+	/** Close the stream.
+	*
+	* Implements the optional `return` method of the iterator protocol. Closes any upstream streams or iterators,
+	* releasing any resources they hold. 
+	*
+	* @param [value] {Object} value to return
+	* @returns {Promise<IteratorValue>} resolves to { done: true, value } once the stream is closed
+	*/
+	return(value) {
+		return Promise.resolve({ done: true, value });
+	}
+
 	/** Get the first item in the stream. 
 	* 
+	* Unlike terminal operations such as `find`, shift does not close the stream; the remaining items can still be
+	* retrieved from it.
+	*
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise} resolves to the first item in the stream, or undefined if none exists.
 	*/
-	shift() {
+	shift({ signal } = {}) {
+		if (signal) return this.withSignal(signal).shift();
 		return this.next().then(({done, value}) => done ? undefined : value);
 	}
 
 	/** Get a subset of data from the stream, throwing away other values.
 	*
+	* Once the end of the slice is reached, no further items are retrieved and this stream is closed; it is
+	* therefore safe to slice an infinite stream.
+	*
 	* @param [begin = 0] {number} index of first element in slice
-	* @param [index] of first element after slice; by default all remaining elements
+	* @param [end] {number} index of first element after slice; by default all remaining elements
 	* @returns {BaseAsyncStream} a stream containing a subset of elements 
 	*/
 	slice(begin = 0, end) {
 		if (begin < 0) throw new RangeError('begin must be > 0');
-		if (end && end < 0) throw new RangeError('end must be > 0');
-		let predicate = end 
-			? (e,i) => begin <= i && i < end
-			: (e,i) => begin <= i;
-		return this.filter(predicate);
+		if (end !== undefined && end < 0) throw new RangeError('end must be > 0');
+		return new SliceAsyncStream(this, begin, end);
 	}
 
-	/** Find if some element in the stream matches the predicate.
+	/** Return the most recent item at regular intervals.
 	*
-	* Note, unlike `some` in `Array`, tri-state logic is used. A predicate that evaluates to null is treated
+	* The stream is read as fast as it will supply items. Every ms milliseconds, the most recently read item is returned,
+	* unless no item has been read since the previous interval. When this stream ends, the last item read since the
+	* previous interval (if any) is returned at once. If an item is ready while the previous one has still not been
+	* read, reading pauses until the consumer catches up.
+	*
+	* @param ms {number} interval in milliseconds
+	* @param [options] {Object} options
+	* @param [options.clock] {Clock} source of time and timers - defaults to the system clock
+	* @returns {BaseAsyncStream} a stream containing at most one item from each interval
+	*/
+	sample(ms, { clock = SYSTEM_CLOCK } = {}) {
+		return AsyncStream.create(({ push, end, error }) => {
+			let latest;
+			let fresh = false;
+			let pending = Promise.resolve();
+			let tick = () => {
+				if (fresh) pending = push(latest);
+				fresh = false;
+				timer = clock.setTimeout(tick, ms);
+			};
+			let timer = clock.setTimeout(tick, ms);
+			this.forEach(item => {
+				latest = item;
+				fresh = true;
+				return pending;
+			}).then(
+				() => {
+					clock.clearTimeout(timer);
+					return (fresh ? pending.then(() => push(latest)) : pending).then(() => end());
+				},
+				err => { clock.clearTimeout(timer); error(err); }
+			);
+			return () => { clock.clearTimeout(timer); return this.return(); };
+		}, { bufferSize: 1, overflow: 'block' });
+	}
+
+	/** Find the items in this stream which have at least one matching item in another stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. The combiner is not used.
+	*
+	* @param other {AsyncIterable|Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseAsyncStream} a stream containing items in this stream whose key matches some item in other
+	*/
+	semiJoin(other, options) {
+		return this._join('semi', other, options);
+	}
+
+	/** Share this stream between any number of subscribers.
+	*
+	* Each call to subscribe on the returned object (or each for await loop over it) creates a new stream which
+	* contains the items in this stream from the point at which it subscribed. Items are read from this stream as the
+	* fastest subscriber needs them, and buffered until every subscriber has read them; this stream is closed once every
+	* subscriber has closed.
+	*
+	* @param [options] {Object} options
+	* @param [options.bufferSize=Infinity] {number} maximum number of buffered items; a subscriber which gets further than this ahead of the slowest subscriber fails with a {@link BufferOverflowError}
+	* @returns {{ subscribe: Function }} an async iterable whose subscribe function returns a new {@link BaseAsyncStream}
+	*/
+	share({ bufferSize = Infinity } = {}) {
+		let source = new SharedAsyncSource(this, bufferSize, false);
+		return { subscribe: () => source.subscribe(), [Symbol.asyncIterator]: () => source.subscribe() };
+	}
+
+	/** Skip any item which cannot be retrieved because of an error.
+	*
+	* If retrieving an item from this stream fails (for example because a mapping function rejected on a 
+	* malformed item), onError is called with the error and the stream moves on to the next item. If onError
+	* returns a promise, the stream waits for it; to abort the stream, onError may throw or reject, which closes this
+	* stream. Note that a generator which throws an error cannot be resumed, so errors thrown by a generator will still
+	* end the stream.
+	*
+	* A source which fails every time it is asked for an item would otherwise never end, so if maxConsecutiveErrors
+	* attempts in a row to retrieve an item fail, the stream is closed and fails with the last error (once onError has
+	* been called with it).
+	*
+	* @param [onError] {Function} function called with each error (and the number of errors so far); by default errors are ignored
+	* @param [options] {Object} options
+	* @param [options.maxConsecutiveErrors=100] {number} number of consecutive errors after which to give up
+	* @returns {BaseAsyncStream} a stream containing every item in this stream that could be retrieved without error
+	*/
+	skipErrors(onError = () => undefined, { maxConsecutiveErrors = 100 } = {}) {
+		if (!(maxConsecutiveErrors >= 1)) throw new RangeError('maxConsecutiveErrors must be >= 1');
+		return new SkipErrorsAsyncStream(this, onError, maxConsecutiveErrors);
+	}
+
+	/** Sort the stream.
+	*
+	* All the items in this stream are read into memory the first time an item is requested from the sorted stream.
+	* The sort is stable. The comparator must be synchronous.
+	*
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @returns {BaseAsyncStream} a stream containing the items in this stream in sorted order
+	*/
+	sorted(comparator = natural) {
+		let sorted = null;
+		return new AsyncStream({
+			next: () => {
+				if (!sorted) sorted = this.toArray().then(items => items.sort(comparator)[Symbol.iterator]());
+				return sorted.then(iterator => iterator.next());
+			},
+			return: value => {
+				let buffered = sorted;
+				sorted = Promise.resolve([][Symbol.iterator]());
+				return buffered ? Promise.resolve({ done: true, value }) : this.return(value);
+			}
+		});
+	}
+
+	/** Sort a stream which may be too large to fit in memory.
+	*
+	* Items are read from this stream in runs of up to maxInMemory items. Each run is sorted in memory and written
+	* to a temporary file; the sorted runs are then merged back together as the sorted stream is read. If the whole
+	* stream fits in a single run, no temporary files are written. The sort is stable.
+	*
+	* Temporary files are removed once the sorted stream is exhausted, closed (for example by calling `return` or a
+	* terminal operation which stops early), or fails, including when writing or reading a temporary file fails.
+	* Callers must therefore either read the sorted stream to the end or close it; a stream which is simply dropped
+	* leaves its temporary files behind. Closing the sorted stream before the sort is complete closes this stream at
+	* once, without reading the rest of it. The comparator must be synchronous.
+	*
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @param [options] {Object} options
+	* @param [options.maxInMemory=100000] {number} maximum number of items to sort in memory at once
+	* @param [options.tmpDir=os.tmpdir()] {string} directory in which to create temporary files
+	* @param [options.serializer] {Serializer} converts items to and from strings; by default, items are written as JSON
+	* @returns {BaseAsyncStream} a stream containing the items in this stream in sorted order
+	*/
+	sortedExternal(comparator = natural, options) {
+		return require('./external-sort')(this, comparator, options);
+	}
+
+	/** Find if some element in the stream matches the predicate.
+	*
+	* Note, unlike `some` in `Array`, tri-state logic is used. A predicate that evaluates to null is treated
 	* as 'value unkown'. Unknown values are not simply treated as false; `some` will return true if
 	* any predicate evaluates to 'true', 'false' if every predicate evaluates to false, and, 'null' if
 	* predicates evaluate to any mixture of 'false' and 'null'. This should make no difference to any code
@@ -252,53 +1183,339 @@ class BaseAsyncStream {
 	*
 	* @param predicate {Predicate} function to test elements.
 	* @param [context] {Object} context, possibly the collection we are iterating over
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<boolean>} resolves to true if an element is found for which predicate evaluates to true.
 	*/
-	some(predicate, context) {
-		const reduction = (accumulator, item, i, ctx)=>or(accumulator, predicate(item, i, ctx));
+	some(predicate, context, options) {
+		const reduction = (accumulator, item, i, ctx)=>Promise.resolve(predicate(item, i, ctx)).then(result=>or(accumulator, result));
 		const condition = accumulator=>accumulator !== true;
-		return this.reduce(reduction, false, condition, context);
+		return this.reduce(reduction, false, condition, context, options);
+	}
+
+	/** Split this stream into several independent streams.
+	*
+	* Each of the returned streams contains every item in this stream. Items read by one stream but not yet by all the
+	* others are buffered; this stream is closed once all the returned streams are closed or exhausted.
+	*
+	* @param [n=2] {number} number of streams to create
+	* @param [options] {Object} options
+	* @param [options.bufferSize=Infinity] {number} maximum number of buffered items; a stream which gets further than this ahead of the slowest stream fails with a {@link BufferOverflowError}
+	* @returns {BaseAsyncStream[]} an array of n streams
+	*/
+	tee(n = 2, { bufferSize = Infinity } = {}) {
+		let source = new SharedAsyncSource(this, bufferSize, false);
+		return Array.from({ length: n }, () => source.subscribe(0));
+	}
+
+	/** Take the first n items in the stream.
+	*
+	* Equivalent to slice(0, n).
+	*
+	* @param n {number} number of items to take
+	* @returns {BaseAsyncStream} a stream containing at most the first n elements of this stream
+	*/
+	take(n) {
+		return this.slice(0, n);
+	}
+
+	/** Find the k largest items in the stream.
+	*
+	* Uses a heap, so at most k items are held in memory at any one time.
+	*
+	* @param k {number} number of items to find
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Array>} resolves to the k largest items, largest first
+	*/
+	topK(k, comparator = natural, options) {
+		return this.bottomK(k, descending(comparator), options);
+	}
+
+	/** Take items from the stream while the predicate evaluates to true.
+	*
+	* Once the predicate evaluates to false, no further items are retrieved and this stream is closed.
+	*
+	* @param predicate {Predicate} function to test items
+	* @param [context] {Object} data to pass through to test function
+	* @returns {BaseAsyncStream} a stream containing elements of this stream up to the first for which predicate evaluates to false
+	*/
+	takeWhile(predicate, context) {
+		return new TakeWhileAsyncStream(this, predicate, context);
+	}
+
+	/** Drop items which are read within a given time of the last item returned.
+	*
+	* Unlike debounce, sample and bufferTime, this stream only reads items as they are requested, so items are dropped
+	* only if they are supplied faster than the consumer is asking for them.
+	*
+	* @param ms {number} minimum time in milliseconds between returned items
+	* @param [options] {Object} options
+	* @param [options.clock] {Clock} source of time - defaults to the system clock
+	* @returns {BaseAsyncStream} a stream containing the first item read in each period of ms milliseconds
+	*/
+	throttle(ms, { clock = SYSTEM_CLOCK } = {}) {
+		let last = -Infinity;
+		return this.filter(() => {
+			let now = clock.now();
+			if (now - last < ms) return false;
+			last = now;
+			return true;
+		});
+	}
+
+	/** Fail if an item, or the whole stream, takes too long to arrive.
+	*
+	* If the time limit is exceeded, the stream is closed and the pending request for an item is rejected with a
+	* {@link TimeoutError}.
+	*
+	* @param [ms=Infinity] {number} maximum time in milliseconds to wait for each item
+	* @param [options] {Object} options
+	* @param [options.total=Infinity] {number} maximum time in milliseconds from the first request until the stream ends
+	* @param [options.clock] {Clock} source of time and timers - defaults to the system clock
+	* @returns {BaseAsyncStream} a stream containing the same items as this stream
+	*/
+	timeout(ms = Infinity, { total = Infinity, clock = SYSTEM_CLOCK } = {}) {
+		return new TimeoutAsyncStream(this, ms, total, clock);
+	}
+
+	/** Get the distinct items in either this stream or another stream.
+	*
+	* @param other {AsyncIterable|Iterable} items to add
+	* @param [key] {Function} function to get the key of an item in either stream; may return a promise - defaults to the item itself
+	* @param [options] {DistinctOptions} options for removing duplicates
+	* @returns {BaseAsyncStream} a stream containing the first item with each key from this stream followed by other
+	*/
+	union(other, key = e=>e, options) {
+		return this.concat(AsyncStream.from(other)).distinct(key, options);
+	}
+
+	/** Stop the stream when a signal is aborted.
+	*
+	* Once the signal is aborted, this stream is closed and any pending or later request for an item is rejected with
+	* an {@link AbortError}. Terminal operations and the stream factories also accept a signal as an option; this
+	* is for stream factories, such as zip, which do not.
+	*
+	* @param signal {AbortSignal} signal which stops the stream
+	* @returns {AsyncStream} a stream containing the same items as this stream until the signal is aborted
+	*/
+	withSignal(signal) {
+		return new AsyncStream(new AbortableIterator(this, signal));
+	}
+
+	/** Create a stream of sliding windows over this stream.
+	*
+	* Each window is an array of size adjacent items; each window starts step items after the previous one. Only
+	* complete windows are returned, so a stream with fewer than size items produces no windows at all.
+	*
+	* @param size {number} number of items in each window
+	* @param [step=1] {number} number of items between the start of one window and the start of the next
+	* @returns {BaseAsyncStream<Array>} a stream of arrays of adjacent items
+	*/
+	window(size, step = 1) {
+		if (!(size >= 1)) throw new RangeError('size must be >= 1');
+		if (!(step >= 1)) throw new RangeError('step must be >= 1');
+		return new WindowAsyncStream(this, size, step);
+	}
+
+	/** Combine this stream with another, item by item.
+	*
+	* Equivalent to AsyncStream.zip(this, other).map(([a,b]) => combiner(a,b)). The resulting stream ends as soon as
+	* either this stream or the other stream ends.
+	*
+	* @param other {AsyncIterable|Iterable} stream or iterable to combine with this stream
+	* @param combiner {Function} function which takes an item from each stream and returns a combined value (or a promise)
+	* @returns {BaseAsyncStream} a stream of combined values
+	*/
+	zipWith(other, combiner) {
+		return AsyncStream.zip(this, other).map(([a,b]) => combiner(a,b));
 	}
 
 	/** Convert stream to array 
 	*
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<Array>} A promise of an array containing all elements in the stream.
 	*/
-	toArray() {
+	toArray({ signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.toArray());
 		let array = [];
 		return this.forEach(e => array.push(e)).then(() => array);
 	}
 
+	/** Read the whole stream into memory, so that it can be processed synchronously.
+	*
+	* @param [options] {TerminalOptions} options
+	* @returns {Promise<Stream>} A promise of a synchronous stream over all elements in this stream.
+	*/
+	toStream(options) {
+		// required here rather than at the top of the module, because stream.js requires this module
+		const Stream = require('./stream');
+		return this.toArray(options).then(items => Stream.from(items));
+	}
+
 	/** Convert stream of key/value pairs to an array of values
 	*
 	* Equivalent to map(([k,v])=>v).toArray()
 	*
+	* @param [options] {TerminalOptions} options
 	* @returns {Promise<Array>} resolves to an array of simple values.
 	*/
-	toValues() {
-		return this.map(([k,v])=>v).toArray();
+	toValues(options) {
+		return this.map(([k,v])=>v).toArray(options);
 	}
 
 	/** Convert stream to map
 	*
 	* @param key {Function} function to convert item to key - defaults to [k,v]=>k
 	* @param value {Function} function to convert item to value - defaults to [k,v]=>v
+	* @param [options] {TerminalOptions} options
 	* @return {Promise<Map>} resolves to a new Map with specified keys and values from stream
 	*/
-	toMap(key = e=>e[0], value = e=>e[1]) {
+	toMap(key = e=>e[0], value = e=>e[1], { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.toMap(key, value));
 		let map = new Map();
-		return this.forEach(e => map.set(key(e), value(e))).then(()=>map);
+		return this.forEach(e => Promise.all([key(e), value(e)]).then(([k,v]) => map.set(k,v))).then(()=>map);
 	}
 
 	/** Convert stream to object
 	*
 	* @param [key] {Function} function to convert item to key - defaults to [k,v]=>k
 	* @param [value] {Function} function to convert item to value - defaults to [k,v]=>v
+	* @param [options] {TerminalOptions} options
 	* @return {Promise} resolves to a new object with specified property names and values from stream
 	*/
-	toObject(key = e=>e[0], value = e=>e[1]) {
+	toObject(key = e=>e[0], value = e=>e[1], { signal } = {}) {
+		if (signal) return this._abortable(signal, stream => stream.toObject(key, value));
 		let obj = {};
-		return this.forEach(e => obj[key(e)] = value(e)).then(()=>obj);
+		return this.forEach(e => Promise.all([key(e), value(e)]).then(([k,v]) => obj[k] = v)).then(()=>obj);
+	}
+
+	/** Format the items in the stream as comma separated values, as described in RFC 4180.
+	*
+	* Items which are arrays are written as they are. Items which are objects are written as the values of the
+	* properties named in options.header or, if it is not an array, the properties of the first object. If options.header
+	* is set, a record of field names is written before the first item (unless the first item is an array and no names
+	* were given).
+	*
+	* @param [options] {Object} options
+	* @param [options.header=false] {boolean|string[]} true to write the property names of the first item as a header, or an array of field names
+	* @param [options.delimiter=','] {string} character which separates fields
+	* @returns {BaseAsyncStream<string>} a stream of lines, each terminated with CRLF
+	*/
+	toCsv(options) {
+		return require('./text').toCsv(this, options);
+	}
+
+	/** Format the items in the stream as newline-delimited JSON.
+	*
+	* @returns {BaseAsyncStream<string>} a stream of lines of JSON, each terminated with LF
+	*/
+	toNdjson() {
+		return require('./text').toNdjson(this);
+	}
+
+	/** Convert stream to a Node.js readable stream.
+	*
+	* Items are read from this stream only as the readable stream needs them. Destroying the readable stream closes
+	* this stream, and an error in this stream is emitted as an error by the readable stream.
+	*
+	* @param [options] {Object} options
+	* @param [options.objectMode=true] {boolean} if false, the items in this stream must be strings, Buffers or Uint8Arrays
+	* @param [options.highWaterMark] {number} maximum number of items (or, if options.objectMode is false, bytes) to buffer
+	* @returns {stream.Readable} a readable stream of the items in this stream
+	*/
+	toReadable(options) {
+		return require('./node').toReadable(this, options);
+	}
+
+	/** Convert stream to a web ReadableStream.
+	*
+	* Items are read from this stream only when the readable stream pulls them. Cancelling the readable stream closes
+	* this stream, and an error in this stream errors the readable stream.
+	*
+	* @param [options] {Object} options
+	* @param [options.highWaterMark=0] {number} number of items to read ahead of the readable stream's consumer
+	* @returns {ReadableStream} a readable stream of the items in this stream
+	* @throws {Error} if the environment does not provide a global ReadableStream (as Node.js does from version 18)
+	*/
+	toWebStream({ highWaterMark = 0 } = {}) {
+		if (typeof ReadableStream === 'undefined') throw new Error('toWebStream requires the web streams API, which this environment does not provide');
+		return new ReadableStream({
+			pull: controller => this.next().then(({ done, value }) => done ? controller.close() : controller.enqueue(value)),
+			cancel: () => this.return().then(() => undefined)
+		}, { highWaterMark });
+	}
+
+	/** Join this stream with another stream.
+	*
+	* @private
+	* @param type {string} type of join
+	* @param other {AsyncIterable|Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseAsyncStream} a stream of rows
+	*/
+	_join(type, other, { key = e=>e[0], otherKey = key, combiner = (left, right) => [left, right], strategy = 'hash', comparator = natural } = {}) {
+		let groups;
+		if (strategy === 'hash') {
+			groups = hashJoinGroups(this, AsyncStream.from(other), key, otherKey, type === 'full');
+		} else if (strategy === 'merge') {
+			let equals = (a, b) => comparator(a, b) === 0;
+			let group = (stream, key) => stream.groupAdjacent(key, equals).map(([k, items]) => items.toArray().then(items => [k, items]));
+			groups = new AsyncStream(new MergeJoinAsyncIterator(group(this, key), group(AsyncStream.from(other), otherKey), comparator));
+		} else {
+			throw new RangeError('strategy must be \'hash\' or \'merge\'');
+		}
+		let rows = groups.flatten(([lefts, rights]) => AsyncStream.from(JOIN_ROWS[type](lefts, rights)));
+		return isCombined(type) ? rows.map(([left, right]) => combiner(left, right)) : rows;
+	}
+
+	/** Write every item in the stream to a web WritableStream.
+	*
+	* @private
+	* @param writable {WritableStream} stream to write to
+	* @param end {boolean} if true, close the writable stream once all items are written
+	* @returns {Promise} resolved once all items are written and, if end is true, the writable stream has closed
+	*/
+	_pipeToWebStream(writable, end) {
+		let writer = writable.getWriter();
+		let release = () => writer.releaseLock();
+		let written = Promise.resolve();
+		return this.forEach(item => writer.ready.then(() => {
+			// a failed write errors the writable stream, so ready rejects and stops the pipe at the next item;
+			// writes complete in order, so waiting for the last one reports a failure of any of them
+			written = writer.write(item);
+			written.catch(() => undefined);
+		}))
+			.then(
+				() => written.then(() => end ? writer.close() : undefined),
+				error => writer.abort(error).catch(() => undefined).then(() => { throw error; })
+			)
+			.then(release, error => { release(); throw error; });
+	}
+
+	/** Run a terminal operation which stops as soon as a signal is aborted.
+	*
+	* The operation reads from this stream through {@link BaseAsyncStream#withSignal}, so no more items are requested
+	* once the signal is aborted. The returned promise is also rejected at once, and the stream closed, if the signal
+	* is aborted while the operation is waiting for something else, such as a callback.
+	*
+	* @private
+	* @param signal {AbortSignal} signal which stops the operation
+	* @param terminal {Function} function which runs the operation on a stream and returns a promise of its result
+	* @returns {Promise} the result of the operation, or rejected with an {@link AbortError} if the signal is aborted first
+	*/
+	_abortable(signal, terminal) {
+		let stream = this.withSignal(signal);
+		return untilAborted(terminal(stream), signal, () => stream.return().catch(() => undefined));
+	}
+
+	/** Ensure the stream is closed if a terminal operation fails.
+	*
+	* @private
+	* @param result {Promise} result of a terminal operation
+	* @returns {Promise} the same result, rejected only after the stream has been closed
+	*/
+	_terminal(result) {
+		return result.catch(err => this.return().then(() => { throw err; }, () => { throw err; }));
 	}
 }
 
@@ -333,20 +1550,359 @@ class AsyncStream extends BaseAsyncStream {
 		return this.iterator.next();
 	}
 
+	/** Close the stream, closing the iterator supplied in the constructor.
+	*
+	* @param [value] {Object} value to return
+	* @returns {Promise<IteratorValue>} the result of calling return on the iterator supplied in the constructor
+	*/
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the iterator supplied in the constructor.
+	*
+	* @param error {Error} error to signal
+	* @returns {Promise<IteratorValue>} the result of calling throw on the iterator supplied in the constructor
+	*/
+	throw(error) {
+		return throwIterator(this.iterator, error);
+	}
+
 	/** Build an asynchronous stream from an iterable
 	*
-	* If source is iterable, return an async stream over items in source. Otherwise, return a stream with a single
-	* element, source. 
+	* If source is an async iterable (such as an async generator), return an async stream over items in source. If 
+	* source is iterable, return an async stream over items in source; the iterator may return either values or 
+	* promises of values. Otherwise, return an async stream with a single element, source. 
 	* 
-	* @param iterator {Iterable|Object} iterable to build a stream from.
+	* @param source {AsyncIterable|Iterable|Object} iterable to build a stream from.
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
 	* @return {AsyncStream} a new asynchronous stream
 	*/
-	static from(source) {
-		if (Symbol.iterator in source) {
-			let iterator = source[Symbol.iterator]();
-			return new AsyncStream({ next: ()=>Promise.resolve(iterator.next())});
+	static from(source, { signal } = {}) {
+		if (signal) return AsyncStream.from(source).withSignal(signal);
+		if (source !== undefined && source !== null && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+			return new AsyncStream(asyncIteratorOf(source));
 		}
-		return Stream.of(source);
+		return AsyncStream.of(source);
+	}
+
+	/** Build a stream from a source which pushes items, such as an event emitter.
+	*
+	* The producer function is called when the first item is requested. It is passed functions to push items into the
+	* stream and to end it, and may return a teardown function (or a promise of one) which is called exactly once: when
+	* the stream is ended, fails, or is closed early by its consumer.
+	*
+	* Items which have been pushed but not yet read are buffered. When the buffer is full, the overflow option
+	* decides what happens to a new item: 'block' holds it until there is room (the promise returned by push resolves
+	* only then, so producers which wait for it are slowed to the pace of the consumer); 'drop-oldest' discards the
+	* oldest item in the buffer; 'drop-newest' discards the new item; and 'error' fails the stream with a 
+	* {@link BufferOverflowError}.
+	*
+	* @param producer {Function} function which takes {@link PushControls} and returns an optional teardown function
+	* @param [options] {Object} options
+	* @param [options.bufferSize=Infinity] {number} maximum number of unread items to buffer
+	* @param [options.overflow='error'] {string} one of 'block', 'drop-oldest', 'drop-newest', or 'error'
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} a stream of the pushed items
+	*/
+	static create(producer, { bufferSize = Infinity, overflow = 'error', signal } = {}) {
+		if (signal) return AsyncStream.create(producer, { bufferSize, overflow }).withSignal(signal);
+		if (!OVERFLOW_POLICIES.includes(overflow)) throw new RangeError(`overflow must be one of ${OVERFLOW_POLICIES.join(', ')}`);
+		return new AsyncStream(new PushIterator(producer, bufferSize, overflow));
+	}
+
+	/** Build a stream which repeats the items of an iterable forever.
+	*
+	* The items are buffered the first time through, so the iterable is only read once. Cycling an empty iterable
+	* gives an empty stream.
+	*
+	* @param iterable {AsyncIterable|Iterable} items to repeat
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} an infinite stream of the items in iterable, repeated
+	*/
+	static cycle(iterable, { signal } = {}) {
+		if (signal) return AsyncStream.cycle(iterable).withSignal(signal);
+		return new AsyncStream(new CycleAsyncIterator(AsyncStream.from(iterable)));
+	}
+
+	/** Build an infinite stream by calling a function repeatedly.
+	*
+	* Each call waits until the value returned by the previous call has resolved.
+	*
+	* @param fn {Function} function which is passed the index of each item and returns the item, or a promise of the item
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} an infinite stream of values returned by fn
+	*/
+	static generate(fn, { signal } = {}) {
+		if (signal) return AsyncStream.generate(fn).withSignal(signal);
+		let index = 0;
+		let current = Promise.resolve();
+		return new AsyncStream({ next() {
+			current = current.then(() => fn(index++));
+			return current.then(value => ({ done: false, value }));
+		} });
+	}
+
+	/** Build an infinite stream of numbers, one every so many milliseconds.
+	*
+	* Timing is driven by the consumer: each number is returned ms milliseconds after it is requested.
+	*
+	* @param ms {number} milliseconds to wait before returning each number
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @param [options.clock] {Clock} source of time and timers - defaults to the system clock
+	* @returns {AsyncStream<number>} an infinite stream of numbers 0, 1, 2, and so on
+	*/
+	static interval(ms, { signal, clock = SYSTEM_CLOCK } = {}) {
+		if (signal) return AsyncStream.interval(ms, { clock }).withSignal(signal);
+		return AsyncStream.generate(index => delay(ms, clock).then(() => index));
+	}
+
+	/** Build an infinite stream by repeatedly applying a function to a seed value.
+	*
+	* @param seed {*} first item in the stream
+	* @param fn {Function} function which takes an item and returns the next item, or a promise of the next item
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} an infinite stream containing seed, fn(seed), fn(fn(seed)), and so on
+	*/
+	static iterate(seed, fn, { signal } = {}) {
+		if (signal) return AsyncStream.iterate(seed, fn).withSignal(signal);
+		let current = null;
+		return new AsyncStream({ next() {
+			current = current ? current.then(value => fn(value)) : Promise.resolve(seed);
+			return current.then(value => ({ done: false, value }));
+		} });
+	}
+
+	/** Build a stream of numbers in a range.
+	*
+	* @param [start=0] {number} first number in the range
+	* @param [end=Infinity] {number} end of the range, which is not included
+	* @param [step=1] {number} difference between successive numbers, which may be negative
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream<number>} a stream of numbers from start up to (or, if step is negative, down to) end
+	*/
+	static range(start = 0, end = Infinity, step = 1, { signal } = {}) {
+		if (signal) return AsyncStream.range(start, end, step).withSignal(signal);
+		if (!step) throw new RangeError('step must be a non-zero number');
+		let index = 0;
+		return new AsyncStream({ next() {
+			let value = start + step * index;
+			if (step > 0 ? value >= end : value <= end) return Promise.resolve({ done: true });
+			index++;
+			return Promise.resolve({ done: false, value });
+		} });
+	}
+
+	/** Build a stream which repeats a single value.
+	*
+	* @param value {*} value to repeat
+	* @param [n=Infinity] {number} number of times to repeat value
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} a stream containing value n times
+	*/
+	static repeat(value, n = Infinity, { signal } = {}) {
+		if (signal) return AsyncStream.repeat(value, n).withSignal(signal);
+		let count = 0;
+		return new AsyncStream({ next() { return Promise.resolve(count++ < n ? { done: false, value } : { done: true }); } });
+	}
+
+	/** Build a stream by repeatedly applying a function to some state.
+	*
+	* Each call to fn returns the next item and the state from which to calculate the item after it; the stream ends
+	* when fn returns undefined (or null).
+	*
+	* @param seed {*} initial state
+	* @param fn {Function} function which takes the current state and returns an array [item, nextState], or undefined to end the stream, or a promise of either
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} a stream of the items returned by fn
+	*/
+	static unfold(seed, fn, { signal } = {}) {
+		if (signal) return AsyncStream.unfold(seed, fn).withSignal(signal);
+		let current = Promise.resolve({ done: false, state: seed });
+		return new AsyncStream({ next() {
+			current = current.then(({ done, state }) => done ? { done } : Promise.resolve(fn(state)).then(result =>
+				result === undefined || result === null ? { done: true } : { done: false, value: result[0], state: result[1] }
+			));
+			return current.then(({ done, value }) => ({ done, value }));
+		} });
+	}
+
+	/** Build a stream of the items from a paginated source, such as a web API or a database cursor.
+	*
+	* Pages are fetched one at a time as their items are needed, so closing the stream early (for example with take
+	* or find) stops further pages being fetched. The stream ends after the first page which has no next cursor.
+	*
+	* With prefetch, the next page is requested as soon as the current one arrives, so that fetching overlaps with
+	* processing; at most one page which turns out not to be needed is fetched.
+	*
+	* @param fetchPage {Function} function which takes a cursor and returns a page, or a promise of one
+	* @param [options] {Object} options
+	* @param [options.initialCursor] {*} cursor passed to fetchPage for the first page
+	* @param [options.getItems] {Function} function which takes a page and returns an {@link AsyncIterable} or {@link Iterable} of its items, or undefined (or null) if it has none - by default, page.items
+	* @param [options.getNextCursor] {Function} function which takes a page and returns the cursor for the next page, or undefined (or null) if there are no more pages - by default, page.nextCursor
+	* @param [options.prefetch=false] {boolean} fetch the next page while the items of the current page are being read
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} a stream of the items on every page, in order
+	*/
+	static paginate(fetchPage, { initialCursor, getItems = page => page.items, getNextCursor = page => page.nextCursor, prefetch = false, signal } = {}) {
+		if (signal) return AsyncStream.paginate(fetchPage, { initialCursor, getItems, getNextCursor, prefetch }).withSignal(signal);
+		let fetch = cursor => {
+			let page = Promise.resolve().then(() => fetchPage(cursor));
+			// a prefetched page may never be read, so its failure must not be reported as unhandled
+			page.catch(() => undefined);
+			return page;
+		};
+		return AsyncStream.unfold({ cursor: initialCursor }, state => {
+			if (state === null) return undefined;
+			return (state.page || fetch(state.cursor)).then(page => {
+				let cursor = getNextCursor(page);
+				let next = cursor === undefined || cursor === null ? null : { cursor, page: prefetch ? fetch(cursor) : undefined };
+				let items = getItems(page);
+				return [ items === undefined || items === null ? [] : items, next ];
+			});
+		}).flatten();
+	}
+
+	/** Build an asynchronous stream from a Node.js readable stream.
+	*
+	* Closing the returned stream before it is exhausted destroys the readable stream.
+	*
+	* @param readable {stream.Readable} stream to read from
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} a stream of the chunks (or, in object mode, the objects) read from readable
+	*/
+	static fromReadable(readable, { signal } = {}) {
+		if (signal) return AsyncStream.fromReadable(readable).withSignal(signal);
+		return new AsyncStream(readable[Symbol.asyncIterator]());
+	}
+
+	/** Build an asynchronous stream from a web ReadableStream.
+	*
+	* The readable stream is locked while the returned stream is being read, and unlocked once it is exhausted, closed or
+	* fails. Closing the returned stream before it is exhausted, or a failure to read from it, cancels the readable stream.
+	*
+	* @param readable {ReadableStream} stream to read from
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @returns {AsyncStream} a stream of the chunks read from readable
+	* @throws {TypeError} if readable is not a web ReadableStream
+	*/
+	static fromWebStream(readable, { signal } = {}) {
+		if (signal) return AsyncStream.fromWebStream(readable).withSignal(signal);
+		if (!readable || typeof readable.getReader !== 'function') throw new TypeError('fromWebStream expects a web ReadableStream');
+		let reader = readable.getReader();
+		let release = () => {
+			if (reader) reader.releaseLock();
+			reader = null;
+		};
+		return new AsyncStream({
+			next: () => reader ? reader.read().then(
+				result => {
+					if (result.done) release();
+					return result;
+				},
+				error => (reader ? reader.cancel(error) : Promise.resolve()).catch(() => undefined).then(() => {
+					release();
+					throw error;
+				})
+			) : Promise.resolve({ done: true }),
+			return: value => (reader ? reader.cancel() : Promise.resolve()).then(() => {
+				release();
+				return { done: true, value };
+			})
+		});
+	}
+
+	/** Build an async stream which re-creates its source if an error occurs.
+	*
+	* The factory function is called to create the source. If retrieving an item from the source fails, the source is 
+	* closed, and after waiting for the backoff period, the factory is called again to re-create it. Items already 
+	* returned from the stream are skipped, so the source must return the same items in the same order each
+	* time it is created. If attempts consecutive attempts to retrieve an item all fail, the stream fails with 
+	* the last error.
+	*
+	* @param factory {Function} function returning an {@link AsyncIterable}, {@link Iterable}, or a promise of one
+	* @param [options] {Object} options
+	* @param [options.attempts=3] {number} maximum number of attempts to retrieve each item
+	* @param [options.backoff=0] {number|Function} milliseconds to wait before re-creating the source, or a function which takes the number of failed attempts and returns the milliseconds to wait
+	* @param [options.signal] {AbortSignal} signal which, when aborted, closes the stream
+	* @param [options.clock] {Clock} source of timers for the backoff period - defaults to the system clock
+	* @return {AsyncStream} a new asynchronous stream
+	*/
+	static retry(factory, { attempts = 3, backoff = 0, signal, clock = SYSTEM_CLOCK } = {}) {
+		if (signal) return AsyncStream.retry(factory, { attempts, backoff, clock }).withSignal(signal);
+		if (!(attempts >= 1)) throw new RangeError('attempts must be >= 1');
+		let wait = typeof backoff === 'function' ? backoff : () => backoff;
+		return new AsyncStream(new RetryingIterator(factory, attempts, wait, clock));
+	}
+
+	/** Merge several sorted iterables into a single sorted stream.
+	*
+	* Each iterable must already be sorted according to comparator. Items are read lazily, one at a time from 
+	* each iterable, using a heap to find the smallest. Where items from two iterables are equal, the item from the
+	* iterable supplied first is returned first. The comparator must be synchronous.
+	*
+	* @param comparator {Comparator} function by which each iterable is sorted
+	* @param iterables {...(AsyncIterable|Iterable)} sorted iterables to merge
+	* @returns {AsyncStream} a sorted stream containing every item from every iterable
+	*/
+	static mergeSorted(comparator, ...iterables) {
+		return new AsyncStream(new MergeAsyncIterator(iterables.map(iterable => AsyncStream.from(iterable)), comparator));
+	}
+
+	/** Merge several sorted iterables into a single sorted stream, dropping duplicates.
+	*
+	* Like {@link AsyncStream.mergeSorted}, except that when several items compare equal (whether they come from the 
+	* same iterable or different ones) only the first is returned.
+	*
+	* @param comparator {Comparator} function by which each iterable is sorted
+	* @param iterables {...(AsyncIterable|Iterable)} sorted iterables to merge
+	* @returns {AsyncStream} a sorted stream containing the first of each set of equal items
+	*/
+	static mergeSortedUnique(comparator, ...iterables) {
+		let first = true;
+		let previous;
+		return AsyncStream.mergeSorted(comparator, ...iterables).filter(item => {
+			let unique = first || comparator(previous, item) !== 0;
+			first = false;
+			previous = item;
+			return unique;
+		});
+	}
+
+	/** Walk several iterables in lockstep.
+	*
+	* The resulting stream returns an array containing the first item of each iterable, then an array containing
+	* the second item of each iterable, and so on. Items are requested from each iterable at the same time. The 
+	* stream ends as soon as any of the iterables ends, at which point the other iterables are closed.
+	*
+	* @param iterables {...(AsyncIterable|Iterable)} iterables to combine
+	* @returns {AsyncStream<Array>} a stream of tuples
+	*/
+	static zip(...iterables) {
+		return new AsyncStream(new ZipAsyncIterator(iterables.map(iterable => AsyncStream.from(iterable)), false));
+	}
+
+	/** Walk several iterables in lockstep until all of them end.
+	*
+	* Like {@link AsyncStream.zip}, except that the resulting stream ends only when all of the iterables end. Items from
+	* iterables which end early are replaced by the fill value.
+	*
+	* @param fill {Object} value used in place of items from iterables which have ended
+	* @param iterables {...(AsyncIterable|Iterable)} iterables to combine
+	* @returns {AsyncStream<Array>} a stream of tuples
+	*/
+	static zipLongest(fill, ...iterables) {
+		return new AsyncStream(new ZipAsyncIterator(iterables.map(iterable => AsyncStream.from(iterable)), true, fill));
 	}
 
 	/** Build an async stream from the given arguments.
@@ -402,30 +1958,47 @@ class FilterAsyncStream extends BaseAsyncStream {
 	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
 	*/
 	next() {
-		return this.iterator.next().then(({done,value})=>{
-			if (done || this.predicate(value, this.index++, this.context)) return { done, value };
-			return this.next();
-		});
+		return this.iterator.next().then(current => this._filter(current));
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator, resolving to the next matching item */
+	throw(error) {
+		return throwIterator(this.iterator, error).then(current => this._filter(current));
+	}
+
+	_filter({done, value}) {
+		if (done) return { done, value };
+		return Promise.resolve(this.predicate(value, this.index++, this.context))
+			.then(accept => accept ? { done, value } : this.next());
 	}
 }
 
-/** Stream that applies a function to transform values supplied by some other stream or iterator.
+/** Stream that returns a contiguous subset of the items in some other stream or iterator.
+*
+* Once the end of the subset is reached, the underlying iterator is closed.
+*
 * @private
 */
-class MappingAsyncStream extends BaseAsyncStream {
+class SliceAsyncStream extends BaseAsyncStream {
 
-	/** Constructor
-	* 
-	* @param iterator stream or iterator that supplies values
-	* @param mapper function used to transform values
-	* @param context Passed through to mapping function (could be the colllection we are iterating over)
+	/** Construct a new slice.
+	*
+	* @param iterator iterator or stream to provide underlying data
+	* @param begin {number} index of first item to return
+	* @param [end] {number} index of first item after the slice; if undefined, all remaining items are returned
 	*/
-	constructor(iterator, mapper, context) {
+	constructor(iterator, begin, end) {
 		super();
 		this.iterator = iterator;
-		this.mapper = mapper;
-		this.context = context;
+		this.begin = begin;
+		this.end = end;
 		this.index = 0;
+		this.closed = false;
 	}
 
 	/** Get the next item in the stream.
@@ -433,30 +2006,387 @@ class MappingAsyncStream extends BaseAsyncStream {
 	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
 	* items in the stream.
 	*
-	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
+	* @returns the next item in the slice
 	*/
 	next() {
-		return this.iterator.next().then(({done,value})=>({ done, value : !done && this.mapper(value, this.index++, this.context) }));
+		if (this.closed) return Promise.resolve({ done: true });
+		if (this.end !== undefined && Math.max(this.index, this.begin) >= this.end) return this.return();
+		return this.iterator.next().then(current => this._slice(current));
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		if (this.closed) return Promise.resolve({ done: true, value });
+		this.closed = true;
+		return closeIterator(this.iterator).then(() => ({ done: true, value }));
+	}
+
+	/** Signal an error to the underlying iterator, resolving to the next item in the slice */
+	throw(error) {
+		if (this.closed) return Promise.reject(error);
+		return throwIterator(this.iterator, error).then(current => this._slice(current));
+	}
+
+	_slice(current) {
+		if (current.done || this.index++ >= this.begin) return current;
+		return this.iterator.next().then(current => this._slice(current));
 	}
 }
 
-/** Stream composed of two other streams.
+/** Stream that returns items from some other stream or iterator until a predicate evaluates to false.
 *
-* Resulting stream will return all elements from the first stream followed by all elements from the second
+* Once the predicate evaluates to false, the underlying iterator is closed.
 *
 * @private
 */
-class ConcatenatedAsyncStream extends BaseAsyncStream {
+class TakeWhileAsyncStream extends BaseAsyncStream {
 
 	/** Constructor
 	*
-	* @param iterator1 first stream or iterator
-	* @param iterator2 second stream or iterator
+	* @param iterator iterator or stream to provide underlying data
+	* @param predicate {Function} function to test items.
+	* @param context (optional) data to pass through to test function
+	*/
+	constructor(iterator, predicate, context) {
+		super();
+		this.iterator = iterator;
+		this.predicate = predicate;
+		this.context = context;
+		this.index = 0;
+		this.closed = false;
+	}
+
+	/** Get the next item in the stream.
+	*
+	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
+	* items in the stream.
+	*
+	* @returns the next item, or { done: true } once the predicate has evaluated to false
+	*/
+	next() {
+		if (this.closed) return Promise.resolve({ done: true });
+		return this.iterator.next().then(current => this._take(current));
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		if (this.closed) return Promise.resolve({ done: true, value });
+		this.closed = true;
+		return closeIterator(this.iterator).then(() => ({ done: true, value }));
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		if (this.closed) return Promise.reject(error);
+		return throwIterator(this.iterator, error).then(current => this._take(current));
+	}
+
+	_take(current) {
+		if (current.done) return current;
+		return Promise.resolve(this.predicate(current.value, this.index++, this.context))
+			.then(accept => accept ? current : this.return());
+	}
+}
+
+/** Stream that skips items from some other stream or iterator until a predicate evaluates to false.
+*
+* @private
+*/
+class DropWhileAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator iterator or stream to provide underlying data
+	* @param predicate {Function} function to test items.
+	* @param context (optional) data to pass through to test function
+	*/
+	constructor(iterator, predicate, context) {
+		super();
+		this.iterator = iterator;
+		this.predicate = predicate;
+		this.context = context;
+		this.index = 0;
+		this.dropping = true;
+	}
+
+	/** Get the next item in the stream.
+	*
+	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
+	* items in the stream.
+	*
+	* @returns the next item
+	*/
+	next() {
+		return this.iterator.next().then(current => this._drop(current));
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		return throwIterator(this.iterator, error).then(current => this._drop(current));
+	}
+
+	_drop(current) {
+		if (!this.dropping || current.done) return current;
+		return Promise.resolve(this.predicate(current.value, this.index++, this.context))
+			.then(drop => {
+				if (drop) return this.next();
+				this.dropping = false;
+				return current;
+			});
+	}
+}
+
+/** Stream that applies a function to transform values supplied by some other stream or iterator.
+* @private
+*/
+class MappingAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	* 
+	* @param iterator stream or iterator that supplies values
+	* @param mapper function used to transform values
+	* @param context Passed through to mapping function (could be the colllection we are iterating over)
+	*/
+	constructor(iterator, mapper, context) {
+		super();
+		this.iterator = iterator;
+		this.mapper = mapper;
+		this.context = context;
+		this.index = 0;
+	}
+
+	/** Get the next item in the stream.
+	*
+	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
+	* items in the stream.
+	*
+	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
+	*/
+	next() {
+		return this.iterator.next().then(current => this._map(current));
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator, resolving to the next mapped item */
+	throw(error) {
+		return throwIterator(this.iterator, error).then(current => this._map(current));
+	}
+
+	_map({done, value}) {
+		if (done) return { done };
+		return Promise.resolve(this.mapper(value, this.index++, this.context))
+			.then(value => ({ done, value }));
+	}
+}
+
+/** Stream that applies a function to transform values, allowing several calls to the function to proceed at once.
+*
+* Retrieving an item from the underlying iterator and mapping it is a 'task'. Up to concurrency tasks are 
+* outstanding at any one time; a task is outstanding until its result is returned by next(). Calls to next() 
+* on the underlying iterator are always made one at a time.
+*
+* @private
+*/
+class ConcurrentMappingAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	* 
+	* @param iterator stream or iterator that supplies values
+	* @param mapper function used to transform values
+	* @param concurrency {number} maximum number of outstanding tasks
+	* @param ordered {boolean} true if results must be returned in the same order as the underlying iterator
+	* @param context Passed through to mapping function (could be the colllection we are iterating over)
+	*/
+	constructor(iterator, mapper, concurrency, ordered, context) {
+		super();
+		this.iterator = iterator;
+		this.mapper = mapper;
+		this.concurrency = concurrency;
+		this.ordered = ordered;
+		this.context = context;
+		this.index = 0;
+		this.outstanding = 0;
+		this.exhausted = false;
+		this.closed = false;
+		this.pulling = Promise.resolve();
+		this.running = [];
+		this.completed = [];
+		this.waiting = [];
+	}
+
+	/** Get the next item in the stream.
+	*
+	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
+	* items in the stream.
+	*
+	* @returns the next mapped item
+	*/
+	next() {
+		if (this.closed) return Promise.resolve({ done: true });
+		this._fill();
+		return this.ordered ? this._nextOrdered() : this._nextUnordered();
+	}
+
+	/** Close the stream and the underlying iterator, once any outstanding call to its next method is complete */
+	return(value) {
+		if (this.closed) return Promise.resolve({ done: true, value });
+		this.closed = true;
+		this.running = [];
+		this.completed = [];
+		this.waiting.forEach(resolve => resolve({ result: { done: true } }));
+		this.waiting = [];
+		return this.pulling
+			.then(() => closeIterator(this.iterator))
+			.then(() => ({ done: true, value }));
+	}
+
+	_fill() {
+		while (!this.exhausted && this.outstanding < this.concurrency) {
+			this.outstanding++;
+			let task = this._start();
+			if (this.ordered) {
+				task.catch(() => undefined);
+				this.running.push(task);
+			} else {
+				task.then(result => this._settle({ result }), error => this._settle({ error }));
+			}
+		}
+	}
+
+	_start() {
+		let pull = this.pulling.then(() => this.exhausted || this.closed ? { done: true } : this.iterator.next());
+		this.pulling = pull.then(
+			({ done }) => { if (done) this.exhausted = true; }, 
+			() => { this.exhausted = true; }
+		);
+		return pull.then(({ done, value }) => {
+			if (done) return { done };
+			return Promise.resolve(this.mapper(value, this.index++, this.context))
+				.then(value => ({ done, value }));
+		});
+	}
+
+	_nextOrdered() {
+		if (this.running.length === 0) return Promise.resolve({ done: true });
+		let task = this.running.shift();
+		let release = () => { this.outstanding--; };
+		task.then(release, release);
+		return task;
+	}
+
+	_nextUnordered() {
+		if (this.completed.length > 0) {
+			this.outstanding--;
+			return this._outcome(this.completed.shift());
+		}
+		if (this.outstanding === 0) return Promise.resolve({ done: true });
+		return new Promise(resolve => this.waiting.push(resolve)).then(outcome => this._outcome(outcome));
+	}
+
+	_settle(outcome) {
+		if (this.closed) return;
+		if (outcome.result && outcome.result.done) {
+			if (--this.outstanding === 0) {
+				this.waiting.forEach(resolve => resolve(outcome));
+				this.waiting = [];
+			}
+		} else if (this.waiting.length > 0) {
+			this.outstanding--;
+			this.waiting.shift()(outcome);
+		} else {
+			this.completed.push(outcome);
+		}
+	}
+
+	_outcome({ result, error }) {
+		return error ? Promise.reject(error) : Promise.resolve(result);
+	}
+}
+
+/** Stream which reads ahead of its consumer into a buffer.
+*
+* Reads from the underlying iterator are chained so that only one is in progress at a time; after the end of the
+* stream or an error, no more reads are made.
+*
+* @private
+*/
+class PrefetchAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param size maximum number of items to read ahead
+	*/
+	constructor(iterator, size) {
+		super();
+		this.iterator = iterator;
+		this.size = size;
+		this.buffer = [];
+		this.last = Promise.resolve({ done: false });
+		this.closed = false;
+	}
+
+	/** Get the next item in the stream, then read ahead to refill the buffer */
+	next() {
+		if (this.closed) return Promise.resolve({ done: true });
+		let result = this.buffer.length > 0 ? this.buffer.shift() : this._read();
+		while (this.buffer.length < this.size) this.buffer.push(this._read());
+		return result;
+	}
+
+	/** Discard any buffered items and close the underlying iterator once any read in progress is complete */
+	return(value) {
+		this.closed = true;
+		this.buffer = [];
+		return this.last
+			.then(() => closeIterator(this.iterator))
+			.then(() => ({ done: true, value }));
+	}
+
+	/** Discard any buffered items and signal an error to the underlying iterator */
+	throw(error) {
+		this.buffer = [];
+		let result = this.last.then(() => throwIterator(this.iterator, error));
+		this.last = result.then(current => current, () => ({ done: true }));
+		return result;
+	}
+
+	_read() {
+		let result = this.last.then(previous => previous.done ? { done: true } : this.iterator.next());
+		this.last = result.then(current => current, () => ({ done: true }));
+		// a buffered failure may be discarded by return, so it must not be reported as unhandled
+		result.catch(() => undefined);
+		return result;
+	}
+}
+
+/** Stream composed of two other streams.
+*
+* Resulting stream will return all elements from the first stream followed by all elements from the second
+*
+* @private
+*/
+class ConcatenatedAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator1 first stream or iterator
+	* @param iterator2 second stream or iterator
 	*/
 	constructor(iterator1, iterator2) {
 		super();
 		this.iterator1 = iterator1;
 		this.iterator2 = iterator2;
+		this.first_done = false;
 	}
 
 	/** Get the next item in the stream.
@@ -467,8 +2397,32 @@ class ConcatenatedAsyncStream extends BaseAsyncStream {
 	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
 	*/
 	next() {
+		if (this.first_done) return this.iterator2.next();
 		return this.iterator1.next()
-			.then(({done,value}) => done ? this.iterator2.next() : { done, value });
+			.then(({done,value}) => done ? this._second() : { done, value });
+	}
+
+	_second() {
+		this.first_done = true;
+		return this.iterator2.next();
+	}
+
+	/** Close the stream and both underlying iterators */
+	return(value) {
+		let close2 = () => closeIterator(this.iterator2);
+		return closeIterator(this.iterator1)
+			.then(close2, err => close2().then(() => { throw err; }))
+			.then(() => ({ done: true, value }));
+	}
+
+	/** Signal an error to whichever underlying iterator is currently supplying items */
+	throw(error) {
+		if (this.first_done) return throwIterator(this.iterator2, error);
+		return throwIterator(this.iterator1, error)
+			.then(
+				({done,value}) => done ? this._second() : { done, value },
+				err => closeIterator(this.iterator2).then(() => { throw err; })
+			);
 	}
 }
 
@@ -483,10 +2437,15 @@ class FlattenedAsyncStream extends BaseAsyncStream {
 	* @param iterator an interator over something that produces a stream
 	* @param stream_accessor function used to obtain a stream from each element returned by itereator
 	*/
-	constructor(iterator, stream_accessor = iterable => AsyncStream.from(iterable)) {
+	constructor(iterator, stream_accessor = iterable => iterable) {
 		super();
-		this.outer = iterator.map(stream_accessor);
-		this.outer_value = this.outer.next();
+		this.outer = iterator.map(stream_accessor).map(inner => {
+			if (inner === undefined || inner === null || !(inner[Symbol.asyncIterator] || inner[Symbol.iterator] || typeof inner.next === 'function')) {
+				throw new TypeError('flatten: ' + inner + ' is not iterable');
+			}
+			return asyncIteratorOf(inner);
+		});
+		this.outer_value = null;
 	}
 
 	/** Get the next item in the stream.
@@ -497,6 +2456,7 @@ class FlattenedAsyncStream extends BaseAsyncStream {
 	* @returns the next item 
 	*/
 	next() {
+		if (!this.outer_value) this.outer_value = this.outer.next();
 		return this.outer_value.then( outer_value =>  {
 			if (outer_value.done) return { done: true } 
 			return outer_value.value.next()
@@ -509,6 +2469,1042 @@ class FlattenedAsyncStream extends BaseAsyncStream {
 				})
 		});
 	}
+
+	/** Close the stream, closing both the current inner stream and the outer stream */
+	return(value) {
+		let outer_value = this.outer_value || Promise.resolve({ done: true });
+		this.outer_value = Promise.resolve({ done: true });
+		let closeOuter = () => closeIterator(this.outer);
+		return outer_value
+			.then(({done, value}) => done ? undefined : closeIterator(value))
+			.then(closeOuter, err => closeOuter().then(() => { throw err; }))
+			.then(() => ({ done: true, value }));
+	}
+
+	/** Signal an error to the current inner stream */
+	throw(error) {
+		let outer_value = this.outer_value || Promise.resolve({ done: true });
+		return outer_value.then(outer_value => {
+			if (outer_value.done) return closeIterator(this.outer).then(() => { throw error; });
+			return throwIterator(outer_value.value, error)
+				.then(
+					({done, value}) => done ? this.next() : { done, value },
+					err => closeIterator(this.outer).then(() => { throw err; })
+				);
+		});
+	}
+}
+
+/** Stream which fails if items take too long to arrive.
+*
+* @private
+*/
+class TimeoutAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator {AsyncIterator} source of items
+	* @param ms {number} maximum time in milliseconds to wait for each item
+	* @param total {number} maximum time in milliseconds from the first request until the stream ends
+	* @param clock {Clock} source of time and timers
+	*/
+	constructor(iterator, ms, total, clock) {
+		super();
+		this.iterator = iterator;
+		this.ms = ms;
+		this.total = total;
+		this.clock = clock;
+		this.deadline = null;
+		this.closed = false;
+	}
+
+	/** Get the next item, unless the time limit is exceeded first */
+	next() {
+		if (this.closed) return Promise.resolve({ done: true });
+		let now = this.clock.now();
+		if (this.deadline === null) this.deadline = now + this.total;
+		let limit = Math.min(this.ms, this.deadline - now);
+		if (limit === Infinity) return this.iterator.next();
+		let timer;
+		let expired = new Promise((resolve, reject) => {
+			timer = this.clock.setTimeout(() => {
+				let error = limit === this.ms
+					? new TimeoutError(`No item received within ${this.ms}ms`, this.ms)
+					: new TimeoutError(`Stream did not end within ${this.total}ms`, this.total);
+				this.closed = true;
+				closeIterator(this.iterator).catch(() => undefined);
+				reject(error);
+			}, Math.max(0, limit));
+		});
+		let cancel = () => this.clock.clearTimeout(timer);
+		return Promise.race([ this.iterator.next(), expired ]).then(
+			result => { cancel(); return result; },
+			error => { cancel(); throw error; }
+		);
+	}
+
+	/** Close the underlying iterator */
+	return(value) {
+		this.closed = true;
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		return throwIterator(this.iterator, error);
+	}
+}
+
+/** Iterator which stops when a signal is aborted.
+*
+* @private
+*/
+class AbortableIterator {
+
+	/** Constructor
+	*
+	* @param iterator {AsyncIterator} source of items
+	* @param signal {AbortSignal} signal which stops the iterator
+	*/
+	constructor(iterator, signal) {
+		this.iterator = iterator;
+		this.signal = signal;
+		this.closed = false;
+	}
+
+	/** Get the next item, unless the signal is aborted first.
+	*
+	* If the signal is aborted while waiting for an item, the request is rejected at once, without waiting for the
+	* source to be closed.
+	*/
+	next() {
+		if (this.closed) return Promise.resolve({ done: true });
+		if (this.signal.aborted) {
+			let error = new AbortError(this.signal.reason);
+			return this.return().then(() => { throw error; });
+		}
+		return untilAborted(this.iterator.next(), this.signal, () => this.return().catch(() => undefined));
+	}
+
+	/** Close the source, if it is not already closed */
+	return(value) {
+		if (this.closed) return Promise.resolve({ done: true, value });
+		this.closed = true;
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the source */
+	throw(error) {
+		return throwIterator(this.iterator, error);
+	}
+}
+
+/** Stream that executes a callback once the underlying iterator is closed.
+*
+* @private
+*/
+class ClosingAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param callback function to execute when the stream is closed
+	*/
+	constructor(iterator, callback) {
+		super();
+		this.iterator = iterator;
+		this.callback = callback;
+		this.closed = false;
+	}
+
+	_close() {
+		if (this.closed) return Promise.resolve();
+		this.closed = true;
+		return Promise.resolve().then(() => this.callback());
+	}
+
+	_call(result) {
+		return result.then(
+			current => current.done ? this._close().then(() => current) : current,
+			err => this._close().then(() => { throw err; })
+		);
+	}
+
+	/** Get the next item in the stream, executing the callback if there are no more items */
+	next() {
+		return this._call(this.iterator.next());
+	}
+
+	/** Close the stream and the underlying iterator, then execute the callback */
+	return(value) {
+		return closeIterator(this.iterator, value)
+			.then(
+				result => this._close().then(() => result), 
+				err => this._close().then(() => { throw err; })
+			);
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		return this._call(throwIterator(this.iterator, error));
+	}
+}
+
+/** Stream that groups items from some other stream or iterator into arrays of a fixed size.
+*
+* @private
+*/
+class ChunkAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param size {number} number of items in each chunk
+	*/
+	constructor(iterator, size) {
+		super();
+		this.iterator = iterator;
+		this.size = size;
+	}
+
+	/** Get the next chunk */
+	next() {
+		let chunk = [];
+		let fill = () => {
+			if (chunk.length === this.size) return { done: false, value: chunk };
+			return this.iterator.next().then(({ done, value }) => {
+				if (!done) {
+					chunk.push(value);
+					return fill();
+				}
+				return chunk.length > 0 ? { done: false, value: chunk } : { done: true };
+			});
+		};
+		return Promise.resolve(fill());
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+}
+
+/** Stream that returns sliding windows over some other stream or iterator.
+*
+* @private
+*/
+class WindowAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param size {number} number of items in each window
+	* @param step {number} number of items between the start of each window
+	*/
+	constructor(iterator, size, step) {
+		super();
+		this.iterator = iterator;
+		this.size = size;
+		this.step = step;
+		this.buffer = [];
+		this.started = false;
+	}
+
+	/** Get the next window */
+	next() {
+		let skip = 0;
+		if (this.started) {
+			skip = this.step - this.buffer.length;
+			this.buffer.splice(0, this.step);
+		}
+		this.started = true;
+		return this._skip(skip).then(done => done ? { done } : this._fill());
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		this.buffer = [];
+		return closeIterator(this.iterator, value);
+	}
+
+	_skip(count) {
+		if (count <= 0) return Promise.resolve(false);
+		return this.iterator.next().then(({ done }) => done || this._skip(count - 1));
+	}
+
+	_fill() {
+		if (this.buffer.length === this.size) return { done: false, value: this.buffer.slice() };
+		return this.iterator.next().then(({ done, value }) => {
+			if (done) {
+				this.buffer = [];
+				return { done: true };
+			}
+			this.buffer.push(value);
+			return this._fill();
+		});
+	}
+}
+
+/** Stream that groups runs of items from some other stream or iterator into arrays.
+*
+* @private
+*/
+class ChunkWhileAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param predicate {Function} takes previous and current items, returning true if they are in the same chunk
+	*/
+	constructor(iterator, predicate) {
+		super();
+		this.iterator = iterator;
+		this.predicate = predicate;
+		this.pending = null;
+	}
+
+	/** Get the next chunk */
+	next() {
+		let first = this.pending ? Promise.resolve(this.pending) : this.iterator.next();
+		this.pending = null;
+		return first.then(({ done, value }) => done ? { done: true } : this._extend([ value ]));
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		this.pending = null;
+		return closeIterator(this.iterator, value);
+	}
+
+	_extend(chunk) {
+		return this.iterator.next().then(current => {
+			if (current.done) return { done: false, value: chunk };
+			return Promise.resolve(this.predicate(chunk[chunk.length - 1], current.value)).then(same => {
+				if (!same) {
+					this.pending = current;
+					return { done: false, value: chunk };
+				}
+				chunk.push(current.value);
+				return this._extend(chunk);
+			});
+		});
+	}
+}
+
+/** Stream of groups of adjacent items with the same key.
+*
+* @private
+*/
+class AdjacentGroupsAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param key {Function} function to get the key of an item
+	* @param equals {Function} function which returns true if two keys are the same
+	*/
+	constructor(iterator, key, equals) {
+		super();
+		this.iterator = iterator;
+		this.key = key;
+		this.equals = equals;
+		this.index = 0;
+		this.lookahead = null;
+		this.group = null;
+	}
+
+	/** Get the next [key, group] entry, skipping any unread items in the current group */
+	next() {
+		let group = this.group;
+		if (group) group.finished = true;
+		let skip = lookahead => {
+			if (group && !lookahead.done && this.equals(lookahead.key, group.key)) {
+				this.lookahead = null;
+				return this._peek().then(skip);
+			}
+			return lookahead;
+		};
+		return this._peek().then(skip).then(lookahead => {
+			if (lookahead.done) return { done: true };
+			this.group = new AdjacentGroupAsyncStream(this, lookahead.key);
+			return { done: false, value: [ lookahead.key, this.group ] };
+		});
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		if (this.group) this.group.finished = true;
+		this.lookahead = Promise.resolve({ done: true });
+		return closeIterator(this.iterator, value);
+	}
+
+	_peek() {
+		if (!this.lookahead) {
+			this.lookahead = this.iterator.next().then(({ done, value }) => {
+				if (done) return { done };
+				return Promise.resolve(this.key(value, this.index++)).then(key => ({ done, value, key }));
+			});
+		}
+		return this.lookahead;
+	}
+}
+
+/** Stream of adjacent items with the same key, read directly from an AdjacentGroupsAsyncStream.
+*
+* @private
+*/
+class AdjacentGroupAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param groups {AdjacentGroupsAsyncStream} stream of groups which supplies items
+	* @param key key of the items in this group
+	*/
+	constructor(groups, key) {
+		super();
+		this.groups = groups;
+		this.key = key;
+		this.finished = false;
+	}
+
+	/** Get the next item in the group */
+	next() {
+		if (this.finished) return Promise.resolve({ done: true });
+		return this.groups._peek().then(lookahead => {
+			if (this.finished || lookahead.done || !this.groups.equals(lookahead.key, this.key)) {
+				this.finished = true;
+				return { done: true };
+			}
+			this.groups.lookahead = null;
+			return { done: false, value: lookahead.value };
+		});
+	}
+
+	/** Stop reading the group; remaining items are skipped when the next group is requested */
+	return(value) {
+		this.finished = true;
+		return Promise.resolve({ done: true, value });
+	}
+}
+
+/** Iterator that returns tuples made up of one item from each of several async iterators.
+*
+* @private
+*/
+class ZipAsyncIterator {
+
+	/** Constructor
+	*
+	* @param iterators {AsyncIterator[]} iterators supplying values
+	* @param longest {boolean} if true, continue until all iterators are done; otherwise stop when any iterator is done
+	* @param [fill] value to use in place of items from iterators which are done
+	*/
+	constructor(iterators, longest, fill) {
+		this.iterators = iterators;
+		this.longest = longest;
+		this.fill = fill;
+		this.finished = iterators.map(() => false);
+		this.closed = false;
+	}
+
+	/** Get the next tuple */
+	next() {
+		if (this.closed) return Promise.resolve({ done: true });
+		return Promise.all(this.iterators.map((iterator, i) => this.finished[i] ? { done: true } : iterator.next()))
+			.then(
+				results => this._combine(results), 
+				err => this.return().then(() => { throw err; })
+			);
+	}
+
+	/** Close all the iterators which are not yet done */
+	return(value) {
+		if (this.closed) return Promise.resolve({ done: true, value });
+		this.closed = true;
+		return Promise.all(this.iterators.map((iterator, i) => this.finished[i] ? undefined : closeIterator(iterator)))
+			.then(() => ({ done: true, value }));
+	}
+
+	_combine(results) {
+		results.forEach(({ done }, i) => { if (done) this.finished[i] = true; });
+		if (this.finished.every(finished => finished)) {
+			this.closed = true;
+			return { done: true };
+		}
+		if (!this.longest && this.finished.some(finished => finished)) return this.return();
+		return { done: false, value: results.map(({ done, value }) => done ? this.fill : value) };
+	}
+}
+
+/** Stream that switches to a fallback stream if the underlying iterator fails.
+*
+* @private
+*/
+class CatchingAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param handler function that returns a fallback iterable given an error
+	*/
+	constructor(iterator, handler) {
+		super();
+		this.iterator = iterator;
+		this.handler = handler;
+		this.recovered = false;
+	}
+
+	/** Get the next item in the stream, switching to the fallback stream if an error occurs */
+	next() {
+		if (this.recovered) return this.iterator.next();
+		return this.iterator.next().catch(err => this._recover(err));
+	}
+
+	/** Close the stream and the current underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the current underlying iterator */
+	throw(error) {
+		return throwIterator(this.iterator, error);
+	}
+
+	_recover(err) {
+		this.recovered = true;
+		return closeIterator(this.iterator)
+			.then(() => this.handler(err))
+			.then(fallback => {
+				this.iterator = fallback === undefined || fallback === null ? AsyncStream.EMPTY : AsyncStream.from(fallback);
+				return this.iterator.next();
+			});
+	}
+}
+
+/** Stream that skips over errors from the underlying iterator.
+*
+* @private
+*/
+class SkipErrorsAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param onError function called with each error
+	* @param maxConsecutiveErrors number of consecutive errors after which to give up
+	*/
+	constructor(iterator, onError, maxConsecutiveErrors) {
+		super();
+		this.iterator = iterator;
+		this.onError = onError;
+		this.maxConsecutiveErrors = maxConsecutiveErrors;
+		this.errors = 0;
+	}
+
+	/** Get the next item that can be retrieved from the underlying iterator without error */
+	next() {
+		return this._next(1);
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		return throwIterator(this.iterator, error);
+	}
+
+	_next(consecutive) {
+		return this.iterator.next().catch(err => Promise.resolve()
+			.then(() => this.onError(err, ++this.errors))
+			.then(
+				() => consecutive < this.maxConsecutiveErrors ? this._next(consecutive + 1) : this._fail(err),
+				failure => this._fail(failure)
+			));
+	}
+
+	_fail(error) {
+		return closeIterator(this.iterator).then(() => { throw error; }, () => { throw error; });
+	}
+}
+
+/** Iterator that re-creates its source whenever an error occurs.
+*
+* @private
+*/
+class RetryingIterator {
+
+	/** Constructor
+	*
+	* @param factory function which creates the source
+	* @param attempts {number} maximum number of attempts to retrieve each item
+	* @param backoff {Function} returns milliseconds to wait given the number of failed attempts so far
+	* @param clock {Clock} source of timers for the backoff period
+	*/
+	constructor(factory, attempts, backoff, clock) {
+		this.factory = factory;
+		this.attempts = attempts;
+		this.backoff = backoff;
+		this.clock = clock;
+		this.iterator = null;
+		this.delivered = 0;
+		this.failures = 0;
+	}
+
+	/** Get the next item, re-creating the source if necessary */
+	next() {
+		return this._open()
+			.then(() => this.iterator.next())
+			.then(
+				current => {
+					this.failures = 0;
+					if (!current.done) this.delivered++;
+					return current;
+				},
+				err => this._retry(err)
+			);
+	}
+
+	/** Close the current source */
+	return(value) {
+		let iterator = this.iterator;
+		this.iterator = null;
+		return closeIterator(iterator, value);
+	}
+
+	_open() {
+		if (this.iterator) return Promise.resolve();
+		return Promise.resolve()
+			.then(() => this.factory())
+			.then(source => {
+				this.iterator = AsyncStream.from(source);
+				return this._skip(this.delivered);
+			});
+	}
+
+	_skip(count) {
+		if (count === 0) return Promise.resolve();
+		return this.iterator.next().then(({ done }) => done ? undefined : this._skip(count - 1));
+	}
+
+	_retry(err) {
+		if (++this.failures >= this.attempts) return Promise.reject(err);
+		let iterator = this.iterator;
+		this.iterator = null;
+		return closeIterator(iterator)
+			.catch(() => undefined)
+			.then(() => delay(this.backoff(this.failures), this.clock))
+			.then(() => this.next());
+	}
+}
+
+/** Iterator which repeats the items from another iterator forever.
+*
+* @private
+*/
+class CycleAsyncIterator {
+
+	/** Constructor
+	*
+	* @param iterator {AsyncIterator} items to repeat
+	*/
+	constructor(iterator) {
+		this.iterator = iterator;
+		this.buffer = [];
+		this.source_done = false;
+		this.index = 0;
+	}
+
+	/** Get the next item, reading from the source iterator until it is done and from the buffer thereafter */
+	next() {
+		if (this.source_done) {
+			if (this.buffer.length === 0) return Promise.resolve({ done: true });
+			return Promise.resolve({ done: false, value: this.buffer[this.index++ % this.buffer.length] });
+		}
+		return this.iterator.next().then(({ done, value }) => {
+			if (done) {
+				this.source_done = true;
+				return this.next();
+			}
+			this.buffer.push(value);
+			return { done, value };
+		});
+	}
+
+	/** Close the source iterator */
+	return(value) {
+		this.buffer = [];
+		if (this.source_done) return Promise.resolve({ done: true, value });
+		this.source_done = true;
+		return closeIterator(this.iterator, value);
+	}
+}
+
+/** Source of items which can be read independently by several readers.
+*
+* Items are read from the underlying iterator as the leading reader needs them, and buffered until every reader has
+* read them. If the source is an error, the error is passed to each reader when it reaches it.
+*
+* @private
+*/
+class SharedAsyncSource {
+
+	/** Constructor
+	*
+	* @param iterator {AsyncIterator} underlying iterator
+	* @param bufferSize {number} maximum number of items to buffer
+	* @param retain {boolean} if true, keep all items rather than discarding those which every reader has read
+	*/
+	constructor(iterator, bufferSize, retain) {
+		this.iterator = iterator;
+		this.bufferSize = bufferSize;
+		this.retain = retain;
+		this.buffer = [];
+		this.offset = 0;
+		this.readers = new Set();
+		this.end = null;
+		this.pending = null;
+	}
+
+	/** Create a new reader.
+	*
+	* @param [position] {number} position of the first item to read - defaults to the next item not yet read by any reader
+	* @returns {SharedAsyncStream} a new reader
+	*/
+	subscribe(position = this.offset + this.buffer.length) {
+		let reader = new SharedAsyncStream(this, position);
+		this.readers.add(reader);
+		return reader;
+	}
+
+	/** Read the next item for a reader, advancing the reader's position */
+	read(reader) {
+		let index = reader.position - this.offset;
+		if (index < this.buffer.length) {
+			reader.position++;
+			let value = this.buffer[index];
+			this._trim();
+			return Promise.resolve({ done: false, value });
+		}
+		if (this.end) return this.end.error ? Promise.reject(this.end.error) : Promise.resolve({ done: true });
+		if (!this.pending) {
+			if (this.buffer.length >= this.bufferSize) return Promise.reject(new BufferOverflowError(this.bufferSize));
+			this.pending = this.iterator.next().then(
+				({ done, value }) => { if (done) this.end = {}; else this.buffer.push(value); },
+				error => { this.end = { error }; }
+			).then(() => { this.pending = null; });
+		}
+		return this.pending.then(() => this.read(reader));
+	}
+
+	/** Remove a reader, closing the underlying iterator if there are no readers left */
+	unsubscribe(reader) {
+		this.readers.delete(reader);
+		this._trim();
+		if (this.readers.size === 0 && !this.end) {
+			this.end = {};
+			return Promise.resolve(this.pending).then(() => closeIterator(this.iterator));
+		}
+		return Promise.resolve();
+	}
+
+	/** Discard items which every reader has read */
+	_trim() {
+		if (this.retain) return;
+		let slowest = this.offset + this.buffer.length;
+		for (let reader of this.readers) slowest = Math.min(slowest, reader.position);
+		this.buffer.splice(0, slowest - this.offset);
+		this.offset = slowest;
+	}
+}
+
+/** Stream which reads items from a shared source.
+*
+* Calls to next are queued, so that each returns the item following the one returned by the previous call.
+*
+* @private
+*/
+class SharedAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param source {SharedAsyncSource} source of items
+	* @param position {number} position of the first item to read
+	*/
+	constructor(source, position) {
+		super();
+		this.source = source;
+		this.position = position;
+		this.closed = false;
+		this.last = Promise.resolve();
+	}
+
+	/** Get the next item from the shared source */
+	next() {
+		let result = this.last.then(() => {
+			if (this.closed) return { done: true };
+			return this.source.read(this).then(
+				result => result.done ? this.return().then(() => result) : result,
+				error => error instanceof BufferOverflowError ? Promise.reject(error) : this.return().then(() => { throw error; })
+			);
+		});
+		this.last = result.catch(() => undefined);
+		return result;
+	}
+
+	/** Stop reading from the shared source */
+	return(value) {
+		if (this.closed) return Promise.resolve({ done: true, value });
+		this.closed = true;
+		return this.source.unsubscribe(this).then(() => ({ done: true, value }));
+	}
+}
+
+/** Stream which reads all its items from a cache, starting again each time it is exhausted or closed.
+*
+* @private
+*/
+class CachedAsyncStream extends BaseAsyncStream {
+
+	/** Constructor
+	*
+	* @param source {SharedAsyncSource} source which retains every item
+	*/
+	constructor(source) {
+		super();
+		this.source = source;
+		this.reader = source.subscribe(0);
+	}
+
+	/** Get the next item from the cache */
+	next() {
+		return this.reader.next().then(
+			result => result.done ? this.return().then(() => result) : result,
+			error => this.return().then(() => { throw error; })
+		);
+	}
+
+	/** Rewind to the first item, closing the source if it has not been read to the end */
+	return(value) {
+		let closed = this.reader.return();
+		this.reader = this.source.subscribe(0);
+		return closed.then(() => ({ done: true, value }));
+	}
+}
+
+/** Iterator which returns items pushed into it by a producer.
+*
+* @private
+*/
+class PushIterator {
+
+	/** Constructor
+	*
+	* @param producer {Function} function which takes {@link PushControls} and returns an optional teardown function
+	* @param bufferSize {number} maximum number of unread items to buffer
+	* @param overflow {string} policy for handling an item pushed into a full buffer
+	*/
+	constructor(producer, bufferSize, overflow) {
+		this.producer = producer;
+		this.bufferSize = bufferSize;
+		this.overflow = overflow;
+		this.buffer = [];
+		this.blocked = [];
+		this.consumers = [];
+		this.started = false;
+		this.teardown = Promise.resolve();
+		this.finished = false;
+		this.failure = null;
+	}
+
+	/** Get the next item pushed by the producer */
+	next() {
+		if (!this.started) this._start();
+		if (this.buffer.length > 0) {
+			let value = this.buffer.shift();
+			if (this.blocked.length > 0) {
+				let blocked = this.blocked.shift();
+				this.buffer.push(blocked.value);
+				blocked.resolve(true);
+			}
+			return Promise.resolve({ done: false, value });
+		}
+		if (this.failure) {
+			let failure = this.failure;
+			this.failure = null;
+			return Promise.reject(failure);
+		}
+		if (this.finished) return Promise.resolve({ done: true });
+		return new Promise((resolve, reject) => this.consumers.push({ resolve, reject }));
+	}
+
+	/** Stop listening to the producer, discarding any buffered items */
+	return(value) {
+		this.started = true;
+		this.buffer = [];
+		this.blocked.forEach(({ resolve }) => resolve(false));
+		this.blocked = [];
+		this.failure = null;
+		this._finish();
+		return this._teardown().then(() => ({ done: true, value }));
+	}
+
+	/** Call the producer */
+	_start() {
+		this.started = true;
+		let controls = {
+			push: value => this._push(value),
+			end: () => this._end(),
+			error: error => this._end(error)
+		};
+		this.teardown = Promise.resolve()
+			.then(() => this.producer(controls))
+			.catch(error => { this._end(error); });
+	}
+
+	/** Add an item to the stream */
+	_push(value) {
+		if (this.finished) return Promise.resolve(false);
+		if (this.consumers.length > 0) {
+			this.consumers.shift().resolve({ done: false, value });
+			return Promise.resolve(true);
+		}
+		if (this.buffer.length < this.bufferSize) {
+			this.buffer.push(value);
+			return Promise.resolve(true);
+		}
+		switch (this.overflow) {
+			case 'block':
+				return new Promise(resolve => this.blocked.push({ value, resolve }));
+			case 'drop-oldest':
+				this.buffer.shift();
+				this.buffer.push(value);
+				return Promise.resolve(true);
+			case 'drop-newest':
+				return Promise.resolve(false);
+			default:
+				this._end(new BufferOverflowError(this.bufferSize));
+				return Promise.resolve(false);
+		}
+	}
+
+	/** End the stream, optionally with an error, once buffered items have been read */
+	_end(error) {
+		if (this.finished) return;
+		if (error) {
+			let consumer = this.consumers.shift();
+			if (consumer) consumer.reject(error); else this.failure = error;
+		}
+		this._finish();
+		this._teardown().catch(error => { this.failure = this.failure || error; });
+	}
+
+	/** Stop accepting items, ending the stream for any waiting consumers */
+	_finish() {
+		this.finished = true;
+		this.consumers.forEach(({ resolve }) => resolve({ done: true }));
+		this.consumers = [];
+	}
+
+	/** Call the teardown function returned by the producer, if it has not already been called */
+	_teardown() {
+		let teardown = this.teardown;
+		this.teardown = Promise.resolve();
+		return teardown.then(fn => typeof fn === 'function' ? fn() : undefined);
+	}
+}
+
+/** Iterator which merges several sorted iterators into a single sorted sequence.
+*
+* The iterator with the smallest current item is found using a heap. Where items from two iterators are equal, the
+* item from the iterator supplied first is returned first.
+*
+* @private
+*/
+class MergeAsyncIterator {
+
+	/** Constructor
+	*
+	* @param iterators {AsyncIterator[]} sorted iterators to merge
+	* @param comparator {Comparator} function used to order items
+	*/
+	constructor(iterators, comparator) {
+		this.iterators = iterators;
+		this.heap = new Heap((a, b) => comparator(a.value, b.value) || a.index - b.index);
+		this.started = null;
+	}
+
+	/** Get the next item in sorted order */
+	next() {
+		if (!this.started) {
+			this.started = Promise.all(this.iterators.map(iterator => iterator.next()))
+				.then(results => results.forEach(({ done, value }, index) => {
+					if (!done) this.heap.push({ value, index });
+				}));
+		}
+		return this.started.then(() => {
+			if (this.heap.size === 0) return { done: true };
+			let top = this.heap.peek();
+			return this.iterators[top.index].next().then(({ done, value }) => {
+				if (done) this.heap.pop(); else this.heap.replace({ value, index: top.index });
+				return { done: false, value: top.value };
+			});
+		}).catch(error => this.return().then(() => { throw error; }, () => { throw error; }));
+	}
+
+	/** Close all the iterators */
+	return(value) {
+		this.heap = new Heap(this.heap.comparator);
+		this.started = Promise.resolve();
+		return Promise.all(this.iterators.map(iterator => closeIterator(iterator)))
+			.then(() => ({ done: true, value }));
+	}
+}
+
+/** Iterator which aligns the groups of items with the same key from two sorted streams.
+*
+* Each input is a stream of [key, items] entries in key order. Each call to next returns [lefts, rights], where
+* lefts and rights are the items with the next smallest key from each input, or undefined if an input has no such key.
+*
+* @private
+*/
+class MergeJoinAsyncIterator {
+
+	/** Constructor
+	*
+	* @param lefts {AsyncIterator<Entry>} sorted groups from the left input
+	* @param rights {AsyncIterator<Entry>} sorted groups from the right input
+	* @param comparator {Comparator} function by which keys are ordered
+	*/
+	constructor(lefts, rights, comparator) {
+		this.lefts = lefts;
+		this.rights = rights;
+		this.comparator = comparator;
+		this.left = null;
+		this.right = null;
+	}
+
+	/** Get the next pair of groups */
+	next() {
+		if (!this.left) this.left = this.lefts.next();
+		if (!this.right) this.right = this.rights.next();
+		return Promise.all([ this.left, this.right ]).then(([ left, right ]) => {
+			if (left.done && right.done) return { done: true };
+			let order = left.done ? 1 : right.done ? -1 : this.comparator(left.value[0], right.value[0]);
+			if (order <= 0) this.left = null;
+			if (order >= 0) this.right = null;
+			return { done: false, value: [ order <= 0 ? left.value[1] : undefined, order >= 0 ? right.value[1] : undefined ] };
+		});
+	}
+
+	/** Close both inputs */
+	return(value) {
+		this.left = this.right = Promise.resolve({ done: true });
+		return Promise.all([ closeIterator(this.lefts), closeIterator(this.rights) ])
+			.then(() => ({ done: true, value }));
+	}
 }
 
 module.exports = AsyncStream;
@@ -0,0 +1,103 @@
+'use strict';
+
+/** @typedef {Object} Clock
+*
+* Source of the current time and of timers, which time-based operations take as an option so that they can be
+* tested without waiting for real time to pass.
+*
+* @property now {Function} returns the current time in milliseconds
+* @property setTimeout {Function} takes a callback and a delay in milliseconds, and returns a handle for the timer
+* @property clearTimeout {Function} takes a timer handle and cancels the timer
+*/
+
+/** Clock which uses the system time and timers.
+*
+* @type {Clock}
+*/
+const SYSTEM_CLOCK = {
+	now: () => Date.now(),
+	setTimeout: (callback, ms) => setTimeout(callback, ms),
+	clearTimeout: handle => clearTimeout(handle)
+};
+
+/** Wait until pending promise callbacks have run.
+*
+* @private
+* @returns {Promise} resolved on the next turn of the event loop
+*/
+function settle() {
+	return new Promise(resolve => setImmediate(resolve));
+}
+
+/** Clock whose time only moves when it is advanced, for use in tests.
+*
+* @implements {Clock}
+*/
+class ManualClock {
+
+	/** Constructor
+	*
+	* @param [now=0] {number} initial time in milliseconds
+	*/
+	constructor(now = 0) {
+		this.time = now;
+		this.timers = [];
+		this.next_handle = 1;
+	}
+
+	/** Get the current time.
+	*
+	* @returns {number} the current time in milliseconds
+	*/
+	now() {
+		return this.time;
+	}
+
+	/** Schedule a callback.
+	*
+	* @param callback {Function} function to call once the clock has been advanced by ms milliseconds
+	* @param [ms=0] {number} delay in milliseconds
+	* @returns {number} handle which can be passed to clearTimeout
+	*/
+	setTimeout(callback, ms = 0) {
+		let handle = this.next_handle++;
+		this.timers.push({ handle, at: this.time + Math.max(0, ms), callback });
+		return handle;
+	}
+
+	/** Cancel a scheduled callback.
+	*
+	* @param handle {number} handle returned by setTimeout
+	*/
+	clearTimeout(handle) {
+		this.timers = this.timers.filter(timer => timer.handle !== handle);
+	}
+
+	/** Move the clock forward, running any callbacks which fall due in time order.
+	*
+	* Pending promise callbacks are allowed to run before and after each timer callback, so that the effects of each
+	* timer are complete before the next one runs.
+	*
+	* @param ms {number} milliseconds to move forward
+	* @returns {Promise} resolved once the clock has moved forward and all due callbacks have run
+	*/
+	advance(ms) {
+		let target = this.time + ms;
+		let step = () => settle().then(() => {
+			let due = this.timers
+				.filter(timer => timer.at <= target)
+				.reduce((first, timer) => first && (first.at < timer.at || first.at === timer.at && first.handle < timer.handle) ? first : timer, null);
+			if (!due) {
+				this.time = target;
+				return settle();
+			}
+			this.clearTimeout(due.handle);
+			this.time = due.at;
+			due.callback();
+			return step();
+		});
+		return step();
+	}
+}
+
+module.exports = { SYSTEM_CLOCK, ManualClock };
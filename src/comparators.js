@@ -0,0 +1,67 @@
+'use strict';
+
+/** @callback Comparator
+*
+* Compare two values, as for `Array.prototype.sort`.
+*
+* @param {Object} a - first value
+* @param {Object} b - second value
+* @returns {number} a negative number if a comes before b, a positive number if a comes after b, and 0 otherwise
+*/
+
+/** Functions for building comparators.
+*
+* Comparators compose, so a multi-key sort in which the second key is descending can be written as
+* `compose(by(e => e.grade), descending(by(e => e.score)))`.
+*
+* @module comparators
+*/
+
+/** Compare two values using the < and > operators.
+*
+* @param a {Object} first value
+* @param b {Object} second value
+* @returns {number} -1 if a < b, 1 if a > b, 0 otherwise
+*/
+function natural(a, b) {
+	return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/** Reverse the order of a comparator.
+*
+* @param [comparator=natural] {Comparator} comparator to reverse
+* @returns {Comparator} a comparator which orders values in the opposite order to comparator
+*/
+function descending(comparator = natural) {
+	return (a, b) => comparator(b, a);
+}
+
+/** Compare values by some key.
+*
+* @param key {Function} function to get the key of a value
+* @param [comparator=natural] {Comparator} comparator used to compare keys
+* @returns {Comparator} a comparator which compares values by comparing their keys
+*/
+function by(key, comparator = natural) {
+	return (a, b) => comparator(key(a), key(b));
+}
+
+/** Combine several comparators.
+*
+* The resulting comparator uses the first comparator; if that finds the values equal, the second comparator,
+* and so on.
+*
+* @param comparators {...Comparator} comparators to combine, most significant first
+* @returns {Comparator} a comparator which applies each comparator in turn
+*/
+function compose(...comparators) {
+	return (a, b) => {
+		for (let comparator of comparators) {
+			let result = comparator(a, b);
+			if (result !== 0) return result;
+		}
+		return 0;
+	};
+}
+
+module.exports = { natural, descending, by, compose };
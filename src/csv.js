@@ -0,0 +1,108 @@
+'use strict';
+
+/** Incremental parser for comma separated values, as described in RFC 4180.
+*
+* Text is supplied in chunks, which may split records (or even quoted fields) at any point. Fields may be enclosed
+* in double quotes, in which case they may contain delimiters, line breaks, and quotes (which are escaped by doubling
+* them). Records may be separated by either CRLF or LF; blank lines are skipped.
+*
+* @private
+*/
+class CsvParser {
+
+	/** Constructor
+	*
+	* @param [delimiter=','] {string} character which separates fields
+	*/
+	constructor(delimiter = ',') {
+		this.delimiter = delimiter;
+		this.row = [];
+		this.field = '';
+		this.field_started = false;
+		this.in_quotes = false;
+		this.quote_pending = false;
+		this.line = 1;
+	}
+
+	/** Parse a chunk of text.
+	*
+	* @param text {string} the next chunk of text
+	* @returns {Array<string[]>} the records completed by this chunk
+	*/
+	push(text) {
+		let rows = [];
+		for (let ch of text) {
+			if (ch === '\n') this.line++;
+			if (this.in_quotes) {
+				if (!this.quote_pending) {
+					if (ch === '"') this.quote_pending = true; else this.field += ch;
+					continue;
+				}
+				this.quote_pending = false;
+				if (ch === '"') {
+					this.field += ch;
+					continue;
+				}
+				this.in_quotes = false;
+			}
+			if (ch === '"' && !this.field_started) {
+				this.in_quotes = true;
+				this.field_started = true;
+			} else if (ch === this.delimiter) {
+				this._endField();
+			} else if (ch === '\n') {
+				if (this.field_started || this.row.length > 0) rows.push(this._endRow());
+			} else if (ch !== '\r') {
+				this.field += ch;
+				this.field_started = true;
+			}
+		}
+		return rows;
+	}
+
+	/** Finish parsing.
+	*
+	* @returns {Array<string[]>} the final record, if the text did not end with a line break
+	* @throws {SyntaxError} if the text ends inside a quoted field
+	*/
+	end() {
+		if (this.in_quotes && !this.quote_pending) throw new SyntaxError(`Unterminated quoted field at line ${this.line}`);
+		this.in_quotes = this.quote_pending = false;
+		return this.field_started || this.row.length > 0 ? [ this._endRow() ] : [];
+	}
+
+	/** Add the current field to the current record */
+	_endField() {
+		this.row.push(this.field);
+		this.field = '';
+		this.field_started = false;
+	}
+
+	/** Complete the current record */
+	_endRow() {
+		this._endField();
+		let row = this.row;
+		this.row = [];
+		return row;
+	}
+}
+
+/** Format a record as a line of comma separated values.
+*
+* Fields containing the delimiter, a quote, or a line break are enclosed in quotes; null and undefined become
+* empty fields.
+*
+* @private
+* @param fields {Array} values of the fields in the record
+* @param [delimiter=','] {string} character which separates fields
+* @returns {string} the record, terminated with CRLF
+*/
+function formatCsvRow(fields, delimiter = ',') {
+	return fields.map(field => {
+		let text = field === undefined || field === null ? '' : String(field);
+		if (text.includes(delimiter) || /["\r\n]/.test(text)) return '"' + text.replace(/"/g, '""') + '"';
+		return text;
+	}).join(delimiter) + '\r\n';
+}
+
+module.exports = { CsvParser, formatCsvRow };
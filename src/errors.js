@@ -0,0 +1,50 @@
+'use strict';
+
+/** Error thrown when an operation is stopped by an AbortSignal.
+*/
+class AbortError extends Error {
+
+	/** Constructor
+	*
+	* @param [reason] {*} the reason the signal was aborted
+	*/
+	constructor(reason) {
+		super('The operation was aborted');
+		this.name = 'AbortError';
+		this.reason = reason;
+	}
+}
+
+/** Error thrown when a reader gets so far ahead of other readers of the same source that the buffer of items
+* they have yet to read is full.
+*/
+class BufferOverflowError extends Error {
+
+	/** Constructor
+	*
+	* @param bufferSize {number} the maximum number of items the buffer can hold
+	*/
+	constructor(bufferSize) {
+		super(`Buffer overflow: cannot hold more than ${bufferSize} items`);
+		this.name = 'BufferOverflowError';
+		this.bufferSize = bufferSize;
+	}
+}
+
+/** Error thrown when an item, or a whole stream, takes too long to arrive.
+*/
+class TimeoutError extends Error {
+
+	/** Constructor
+	*
+	* @param message {string} description of what timed out
+	* @param ms {number} the time limit in milliseconds
+	*/
+	constructor(message, ms) {
+		super(message);
+		this.name = 'TimeoutError';
+		this.ms = ms;
+	}
+}
+
+module.exports = { AbortError, BufferOverflowError, TimeoutError };
@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const AsyncStream = require('./asyncstream');
+
+/** @typedef {Object} Serializer
+*
+* Converts items to and from strings, for example so they can be written to a file.
+*
+* @property serialize {Function} convert an item to a string, which must not contain any newlines
+* @property deserialize {Function} convert a string created by serialize back to an item
+*/
+
+/** Serializer which converts items to and from JSON
+* @private
+*/
+const JSON_SERIALIZER = { serialize: JSON.stringify, deserialize: JSON.parse };
+
+/** Iterator which sorts a stream using temporary files.
+*
+* The source stream is read and sorted into runs when the first item is requested. Closing the iterator stops
+* reading the source at once, even if the sort has not finished.
+*
+* @private
+*/
+class ExternalSortIterator {
+
+	/** Constructor
+	*
+	* @param source {BaseAsyncStream} stream to sort
+	* @param comparator {Comparator} function used to order items
+	* @param maxInMemory {number} maximum number of items in each run
+	* @param tmpDir {string} directory in which to create temporary files
+	* @param serializer {Serializer} converts items to and from strings
+	*/
+	constructor(source, comparator, maxInMemory, tmpDir, serializer) {
+		this.source = source;
+		this.comparator = comparator;
+		this.maxInMemory = maxInMemory;
+		this.tmpDir = tmpDir;
+		this.serializer = serializer;
+		this.directory = null;
+		this.files = [];
+		this.sorted = null;
+		this.closed = null;
+	}
+
+	/** Get the next item in sorted order, removing the temporary files once there are no more items */
+	next() {
+		if (this.closed) return Promise.resolve({ done: true });
+		if (!this.sorted) this.sorted = this._sort();
+		return this.sorted
+			.then(sorted => sorted.next())
+			.then(
+				current => current.done ? this._cleanup().then(() => current) : current,
+				err => this.return().then(() => { throw err; }, () => { throw err; })
+			);
+	}
+
+	/** Close the source and the sorted stream and remove the temporary files.
+	*
+	* If the sort is in progress, the source is closed at once and no more items are read from it; the temporary
+	* files are removed as soon as any run which is being written is complete.
+	*/
+	return(value) {
+		if (!this.closed) {
+			let sorted = this.sorted || Promise.resolve(AsyncStream.EMPTY);
+			this.closed = Promise.all([
+				Promise.resolve(this.source.return()),
+				sorted.then(sorted => sorted.return(), () => undefined)
+			]).then(() => this._cleanup(), err => this._cleanup().then(() => { throw err; }));
+		}
+		return this.closed.then(() => ({ done: true, value }));
+	}
+
+	_sort() {
+		let run = [];
+		let read = () => this.closed ? AsyncStream.EMPTY : this.source.next().then(({ done, value }) => {
+			if (this.closed) return AsyncStream.EMPTY;
+			if (done) return this._merge(run);
+			run.push(value);
+			if (run.length < this.maxInMemory) return read();
+			let full = run;
+			run = [];
+			return this._spill(full).then(read);
+		});
+		return Promise.resolve(read());
+	}
+
+	_merge(run) {
+		run.sort(this.comparator);
+		if (this.files.length === 0) return AsyncStream.from(run);
+		let runs = this.files.map(file => this._read(file)).concat([ AsyncStream.from(run) ]);
+		return AsyncStream.mergeSorted(this.comparator, ...runs);
+	}
+
+	_spill(run) {
+		run.sort(this.comparator);
+		if (!this.directory) this.directory = fs.promises.mkdtemp(path.join(this.tmpDir, 'iterator-plumbing-'));
+		return this.directory.then(directory => {
+			let file = path.join(directory, 'run-' + this.files.length);
+			this.files.push(file);
+			return fs.promises.writeFile(file, run.map(item => this.serializer.serialize(item) + '\n').join(''));
+		});
+	}
+
+	_read(file) {
+		let input = fs.createReadStream(file, { encoding: 'utf8' });
+		return AsyncStream.from(readline.createInterface({ input, crlfDelay: Infinity }))
+			.onClose(() => input.destroy())
+			.map(line => this.serializer.deserialize(line));
+	}
+
+	_cleanup() {
+		if (!this.directory) return Promise.resolve();
+		let directory = this.directory;
+		let files = this.files;
+		this.directory = null;
+		this.files = [];
+		let ignore = () => undefined;
+		return directory
+			.then(directory => Promise.all(files.map(file => fs.promises.unlink(file).catch(ignore)))
+				.then(() => fs.promises.rmdir(directory)))
+			.catch(ignore);
+	}
+}
+
+/** Sort a stream which may be too large to fit in memory.
+*
+* @private
+* @param stream {BaseAsyncStream} stream to sort
+* @param comparator {Comparator} function used to order items
+* @param options {Object} options, as described in {@link BaseAsyncStream#sortedExternal}
+* @returns {AsyncStream} a stream containing the items in stream in sorted order
+*/
+function sortedExternal(stream, comparator, { maxInMemory = 100000, tmpDir = os.tmpdir(), serializer = JSON_SERIALIZER } = {}) {
+	if (!(maxInMemory >= 1)) throw new RangeError('maxInMemory must be >= 1');
+	return new AsyncStream(new ExternalSortIterator(stream, comparator, maxInMemory, tmpDir, serializer));
+}
+
+module.exports = sortedExternal;
@@ -0,0 +1,108 @@
+'use strict';
+
+/** Binary heap ordered by a comparator.
+*
+* The item at the top of the heap is always the smallest item according to the comparator. Used to implement 
+* bounded-memory selection and k-way merges.
+*
+* @private
+*/
+class Heap {
+
+	/** Create an empty heap.
+	*
+	* @param comparator {Comparator} function used to order items in the heap
+	*/
+	constructor(comparator) {
+		this.comparator = comparator;
+		this.items = [];
+	}
+
+	/** The number of items in the heap */
+	get size() {
+		return this.items.length;
+	}
+
+	/** Get the smallest item in the heap without removing it.
+	*
+	* @returns {Object} the smallest item, or undefined if the heap is empty
+	*/
+	peek() {
+		return this.items[0];
+	}
+
+	/** Add an item to the heap.
+	*
+	* @param item {Object} item to add
+	*/
+	push(item) {
+		this.items.push(item);
+		this._up(this.items.length - 1);
+	}
+
+	/** Remove the smallest item from the heap.
+	*
+	* @returns {Object} the smallest item, or undefined if the heap is empty
+	*/
+	pop() {
+		let items = this.items;
+		if (items.length <= 1) return items.pop();
+		let top = items[0];
+		items[0] = items.pop();
+		this._down(0);
+		return top;
+	}
+
+	/** Remove the smallest item from the heap and add a new item.
+	*
+	* More efficient than pop() followed by push(item).
+	*
+	* @param item {Object} item to add
+	* @returns {Object} the smallest item before the new item was added
+	*/
+	replace(item) {
+		let top = this.items[0];
+		this.items[0] = item;
+		this._down(0);
+		return top;
+	}
+
+	/** Remove all items from the heap in order.
+	*
+	* @returns {Array} all items in the heap, smallest first
+	*/
+	drain() {
+		let result = [];
+		while (this.items.length > 0) result.push(this.pop());
+		return result;
+	}
+
+	_up(index) {
+		let items = this.items;
+		let item = items[index];
+		while (index > 0) {
+			let parent = (index - 1) >> 1;
+			if (this.comparator(item, items[parent]) >= 0) break;
+			items[index] = items[parent];
+			index = parent;
+		}
+		items[index] = item;
+	}
+
+	_down(index) {
+		let items = this.items;
+		let length = items.length;
+		let item = items[index];
+		for (;;) {
+			let child = 2 * index + 1;
+			if (child >= length) break;
+			if (child + 1 < length && this.comparator(items[child + 1], items[child]) < 0) child++;
+			if (this.comparator(items[child], item) >= 0) break;
+			items[index] = items[child];
+			index = child;
+		}
+		items[index] = item;
+	}
+}
+
+module.exports = Heap;
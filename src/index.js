@@ -1,4 +1,8 @@
 const AsyncStream = require('./asyncstream');
 const Stream = require('./stream');
+const comparators = require('./comparators');
+const { ManualClock } = require('./clock');
+const RateLimiter = require('./ratelimiter');
+const { AbortError, BufferOverflowError, TimeoutError } = require('./errors');
 
-module.exports = { Stream, AsyncStream, from: Stream.from, of: Stream.of };
\ No newline at end of file
+module.exports = { Stream, AsyncStream, comparators, ManualClock, RateLimiter, AbortError, BufferOverflowError, TimeoutError, from: Stream.from, of: Stream.of };
@@ -0,0 +1,44 @@
+'use strict';
+
+/** Create every [left, right] pair from two arrays.
+*
+* @private
+* @param lefts {Array} left items
+* @param rights {Array} right items
+* @returns {Array<Array>} an array containing [left, right] for every left in lefts and every right in rights
+*/
+function product(lefts, rights) {
+	let pairs = [];
+	for (let left of lefts) 
+		for (let right of rights) pairs.push([left, right]);
+	return pairs;
+}
+
+/** The rows produced by each type of join.
+*
+* Each function takes an array of items from the left input and an array of items from the right input which all 
+* have the same key (either of which is undefined if there are no items with that key on that side) and returns the 
+* corresponding rows of the join. For inner, left and full joins each row is a [left, right] pair, where a missing
+* item is undefined; for semi and anti joins each row is simply an item from the left input.
+*
+* @private
+*/
+const JOIN_ROWS = {
+	inner: (lefts, rights) => lefts && rights ? product(lefts, rights) : [],
+	left: (lefts, rights) => lefts ? product(lefts, rights || [ undefined ]) : [],
+	full: (lefts, rights) => product(lefts || [ undefined ], rights || [ undefined ]),
+	semi: (lefts, rights) => lefts && rights ? lefts : [],
+	anti: (lefts, rights) => lefts && !rights ? lefts : []
+};
+
+/** Check whether the rows of a join are [left, right] pairs to be passed to a combiner.
+*
+* @private
+* @param type {string} type of join
+* @returns {boolean} true for inner, left, and full joins
+*/
+function isCombined(type) {
+	return type === 'inner' || type === 'left' || type === 'full';
+}
+
+module.exports = { JOIN_ROWS, isCombined };
@@ -0,0 +1,49 @@
+'use strict';
+
+/** Set which holds at most a fixed number of items, forgetting the least recently used item when full.
+*
+* Used to remove duplicates from very long streams in bounded memory, at the cost of letting through a duplicate
+* of any item which has been forgotten.
+*
+* @private
+*/
+class LruSet {
+
+	/** Create an empty set.
+	*
+	* @param capacity {number} maximum number of items to remember
+	*/
+	constructor(capacity) {
+		if (!(capacity > 0)) throw new RangeError('capacity must be a positive number');
+		this.capacity = capacity;
+		this.items = new Map();
+	}
+
+	/** The number of items in the set */
+	get size() {
+		return this.items.size;
+	}
+
+	/** Check whether the set contains an item.
+	*
+	* @param item {*} item to look for
+	* @returns {boolean} true if the item is in the set
+	*/
+	has(item) {
+		return this.items.has(item);
+	}
+
+	/** Add an item to the set, or mark it as the most recently used if already present.
+	*
+	* @param item {*} item to add
+	* @returns {LruSet} this set
+	*/
+	add(item) {
+		this.items.delete(item);
+		this.items.set(item, true);
+		if (this.items.size > this.capacity) this.items.delete(this.items.keys().next().value);
+		return this;
+	}
+}
+
+module.exports = LruSet;
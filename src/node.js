@@ -0,0 +1,74 @@
+'use strict';
+
+const { Readable, finished } = require('stream');
+
+/** Write every item in a stream to a Node.js writable stream.
+*
+* The writable stream is watched for errors until the returned promise settles: if end is false, that is once the
+* last item has been written.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of items to write
+* @param writable {stream.Writable} stream to write to
+* @param end {boolean} if true, end the writable stream once all items are written
+* @returns {Promise} resolved once all items are written and, if end is true, the writable stream has finished
+*/
+function pipeToWritable(stream, writable, end) {
+	let failure = null;
+	let cleanup;
+	let closed = new Promise((resolve, reject) => {
+		cleanup = finished(writable, error => {
+			cleanup();
+			if (error) { failure = error; reject(error); } else resolve();
+		});
+	});
+	closed.catch(() => undefined);
+	let drained = () => {
+		let onDrain;
+		let drain = new Promise(resolve => writable.once('drain', onDrain = resolve));
+		let removeListener = () => writable.removeListener('drain', onDrain);
+		return Promise.race([ drain, closed ]).then(removeListener, error => { removeListener(); throw error; });
+	};
+	let written = Promise.resolve();
+	return stream.forEach(item => {
+		if (failure) throw failure;
+		let ready;
+		written = new Promise((resolve, reject) => {
+			ready = writable.write(item, error => error ? reject(error) : resolve());
+		});
+		written.catch(() => undefined);
+		return ready ? undefined : drained();
+	}).then(
+		() => {
+			if (end) {
+				writable.end();
+				return closed;
+			}
+			return Promise.race([ written, closed ]).then(() => {
+				cleanup();
+				if (failure) throw failure;
+			}, error => {
+				cleanup();
+				throw error;
+			});
+		},
+		error => {
+			cleanup();
+			writable.destroy(error);
+			throw error;
+		}
+	);
+}
+
+/** Convert a stream to a Node.js readable stream.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of items to read
+* @param options {Object} options, as described in {@link BaseAsyncStream#toReadable}
+* @returns {stream.Readable} a readable stream of the items in the stream
+*/
+function toReadable(stream, { objectMode = true, highWaterMark } = {}) {
+	return Readable.from(stream, { objectMode, highWaterMark });
+}
+
+module.exports = { pipeToWritable, toReadable };
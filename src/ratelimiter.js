@@ -0,0 +1,96 @@
+'use strict';
+
+const { SYSTEM_CLOCK } = require('./clock');
+const { AbortError } = require('./errors');
+
+/** @typedef {Object} RateLimiterOptions
+*
+* Options for a token bucket rate limiter.
+*
+* @property perInterval {number} number of tokens added to the bucket in each interval
+* @property [interval=1000] {number} length of the interval in milliseconds
+* @property [burst=perInterval] {number} maximum number of tokens the bucket can hold, and so the largest number of
+* tokens which can be taken at once after a quiet period
+* @property [clock] {Clock} source of time and timers - defaults to the system clock
+*/
+
+/** Token bucket rate limiter, which may be shared between several streams so that they draw from one budget.
+*
+* The bucket starts full. Tokens are added continuously at a rate of perInterval tokens every interval milliseconds,
+* up to the size of the bucket. Requests for tokens are granted in the order they are made.
+*/
+class RateLimiter {
+
+	/** Constructor
+	*
+	* @param options {RateLimiterOptions} options
+	*/
+	constructor({ perInterval, interval = 1000, burst = perInterval, clock = SYSTEM_CLOCK } = {}) {
+		if (!(perInterval > 0)) throw new RangeError('perInterval must be a positive number');
+		if (!(interval > 0)) throw new RangeError('interval must be a positive number');
+		if (!(burst >= 1)) throw new RangeError('burst must be at least 1');
+		this.rate = perInterval / interval;
+		this.burst = burst;
+		this.clock = clock;
+		this.tokens = burst;
+		this.updated = clock.now();
+		this.waiters = [];
+		this.timer = null;
+	}
+
+	/** Take a token from the bucket, waiting until one is available.
+	*
+	* @param [options] {Object} options
+	* @param [options.signal] {AbortSignal} signal which, when aborted, stops waiting for a token
+	* @returns {Promise} resolved once a token has been taken, or rejected with an {@link AbortError} if the signal is aborted first
+	*/
+	acquire({ signal } = {}) {
+		if (signal && signal.aborted) return Promise.reject(new AbortError(signal.reason));
+		return new Promise((resolve, reject) => {
+			let waiter = { resolve, signal };
+			if (signal) {
+				waiter.listener = () => {
+					this.waiters = this.waiters.filter(other => other !== waiter);
+					this._grant();
+					reject(new AbortError(signal.reason));
+				};
+				signal.addEventListener('abort', waiter.listener, { once: true });
+			}
+			this.waiters.push(waiter);
+			this._grant();
+		});
+	}
+
+	/** Add the tokens which have accumulated since the bucket was last updated */
+	_refill() {
+		let now = this.clock.now();
+		this.tokens = Math.min(this.burst, this.tokens + (now - this.updated) * this.rate);
+		this.updated = now;
+	}
+
+	/** Give tokens to waiters while there are tokens available */
+	_grant() {
+		this._refill();
+		while (this.waiters.length > 0 && this.tokens >= 1) {
+			let { resolve, signal, listener } = this.waiters.shift();
+			this.tokens -= 1;
+			if (signal) signal.removeEventListener('abort', listener);
+			resolve();
+		}
+		this._schedule();
+	}
+
+	/** Set a timer for when the next token will be available, if anyone is waiting for it */
+	_schedule() {
+		if (this.timer !== null) this.clock.clearTimeout(this.timer);
+		this.timer = null;
+		if (this.waiters.length === 0) return;
+		let wait = Math.max(1, Math.ceil((1 - this.tokens) / this.rate));
+		this.timer = this.clock.setTimeout(() => {
+			this.timer = null;
+			this._grant();
+		}, wait);
+	}
+}
+
+module.exports = RateLimiter;
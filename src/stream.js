@@ -1,6 +1,12 @@
 'use strict';
 
 const { and, or } = require('tristate-logic');
+const AsyncStream = require('./asyncstream');
+const { natural, descending, by } = require('./comparators');
+const { BufferOverflowError } = require('./errors');
+const Heap = require('./heap');
+const LruSet = require('./lru');
+const { JOIN_ROWS, isCombined } = require('./join');
 
 /** @typedef {Object} IteratorValue
 *
@@ -15,6 +21,8 @@ const { and, or } = require('tristate-logic');
 * An object returning successive values from some underlying collection.
 * 
 * @property next {Function} return next item as an {@link IteratorValue}
+* @property [return] {Function} optional; release any resources held by the iterator and return a final {@link IteratorValue}
+* @property [throw] {Function} optional; signal an error to the iterator and return the next {@link IteratorValue}
 */
 
 
@@ -67,6 +75,129 @@ const { and, or } = require('tristate-logic');
 * @returns {Object} new value for accumulator
 */
 
+/** Close an iterator, if it supports the optional return method of the iterator protocol.
+*
+* @private
+* @param iterator {Iterator} iterator to close
+* @param [value] {Object} value to return
+* @returns {IteratorValue} the result of calling return on the iterator, or { done: true, value }
+*/
+function closeIterator(iterator, value) {
+	if (iterator && typeof iterator.return === 'function') return iterator.return(value);
+	return { done: true, value };
+}
+
+/** Signal an error to an iterator.
+*
+* If the iterator does not support the optional throw method of the iterator protocol, it is closed and the 
+* error is rethrown.
+*
+* @private
+* @param iterator {Iterator} iterator to signal
+* @param error {Error} error to throw into the iterator
+* @returns {IteratorValue} the result of calling throw on the iterator
+*/
+function throwIterator(iterator, error) {
+	if (iterator && typeof iterator.throw === 'function') return iterator.throw(error);
+	closeIterator(iterator);
+	throw error;
+}
+
+/** Build a stream from another stream when the first item is requested.
+*
+* Used by operations which must read some other input before they can return anything. The source is closed if the
+* returned stream is closed or fails before the stream has been built; afterwards, closing is left to the built stream.
+*
+* @private
+* @param source {BaseStream} stream from which the built stream reads
+* @param build {Function} function which returns the stream
+* @returns {BaseStream} a stream which reads from the built stream
+*/
+function deferred(source, build) {
+	let built = false;
+	return Stream.of(null)
+		.flatten(() => {
+			let stream = build();
+			built = true;
+			return stream;
+		})
+		.onClose(() => {
+			if (!built) closeIterator(source);
+		});
+}
+
+/** Read the keys of every item in an iterable.
+*
+* @private
+* @param iterable {Iterable} items to read
+* @param key {Function} function to get the key of an item
+* @returns {Set} the keys of the items; if reading fails, the iterable is closed
+*/
+function keySet(iterable, key) {
+	let items = Stream.from(iterable);
+	try {
+		return new Set(items.map(key));
+	} catch (err) {
+		closeIterator(items);
+		throw err;
+	}
+}
+
+/** Build the groups of items to join using a hash table.
+*
+* The whole of the right stream is read into a hash table when the first group is requested. Each item in the left 
+* stream is then returned as a single-item group together with all the items in the table with the same key. 
+*
+* @private
+* @param left {BaseStream} left input
+* @param right {BaseStream} right input, which is buffered
+* @param key {Function} function to get the key of a left item
+* @param otherKey {Function} function to get the key of a right item
+* @param outer {boolean} if true, finally return a group for each key in right that matched no item in left
+* @returns {BaseStream<Array>} a stream of [lefts, rights] groups
+*/
+function hashJoinGroups(left, right, key, otherKey, outer) {
+	return deferred(left, () => {
+		let table = right.groupBy(otherKey);
+		let matched = new Set();
+		let groups = left.map(item => {
+			let k = key(item);
+			let rights = table.get(k);
+			if (rights) matched.add(k);
+			return [ [ item ], rights ];
+		});
+		if (!outer) return groups;
+		return groups.concat(Stream.from(table).filter(([k]) => !matched.has(k)).map(([k, rights]) => [ undefined, rights ]));
+	});
+}
+
+/** @typedef {Object} Collector
+*
+* Describes how to reduce a group of items to a single value.
+*
+* @property initial {Function} given the key of a new group, return the initial value of the group's accumulator
+* @property reducer {Reducer} reduction function applied to each item in the group
+*/
+
+/** @typedef {Object} DistinctOptions
+*
+* Options for removing duplicate items from a stream.
+*
+* @property [maxKeys] {number} if set, remember only this many of the most recently seen keys, so that memory use 
+* is bounded; a duplicate of an item whose key has been forgotten is not removed
+*/
+
+/** @typedef {Object} JoinOptions
+*
+* Options for joining two streams.
+*
+* @property [key] {Function} function to get the key of an item in this stream - defaults to [k,v]=>k
+* @property [otherKey] {Function} function to get the key of an item in the other stream - defaults to key
+* @property [combiner] {Function} function which takes a matching item from each stream (either of which may be undefined in an outer join) and returns a row of the join - defaults to (left, right)=>[left, right]
+* @property [strategy='hash'] {string} 'hash' to read the whole of the other stream into a hash table (so the other stream should be the smaller); 'merge' if both streams are already sorted by key
+* @property [comparator=natural] {Comparator} for the 'merge' strategy, the function by which keys are sorted
+*/
+
 /** Base stream clase that provides core stream operations.
 *
 * A stream is an Iterator (it implements next()) with bells on. Various utility methods are provided
@@ -75,9 +206,109 @@ const { and, or } = require('tristate-logic');
 * as a drop-in replacement. In many cases the lazy nature of the stream API (and avoidance of array copies)
 * will make the updated code more efficient than using simple arrays.
 *
+* Streams also support the optional `return` and `throw` methods of the iterator protocol. Calling `return` 
+* closes a stream and every stream or iterator upstream of it, so that resources such as open generators are
+* released. Terminal operations which stop early (such as `find` or `some`) close the stream automatically.
+*
 */
 class BaseStream {
 
+	/** Get an iterator over this stream.
+	*
+	* A stream is its own iterator, so any stream can be used with `for...of`, spread syntax, `Array.from` and
+	* destructuring assignment.
+	*
+	* @returns {BaseStream} this stream
+	*/
+	[Symbol.iterator]() {
+		return this;
+	}
+
+	/** Find the items in this stream which have no matching item in another stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. The combiner is not used.
+	*
+	* @param other {Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseStream} a stream containing items in this stream whose key matches no item in other
+	*/
+	antiJoin(other, options) {
+		return this._join('anti', other, options);
+	}
+
+	/** Memoize the items in this stream so that it can be read more than once.
+	*
+	* The returned stream reads items from this stream only as they are first needed, keeping them all in memory.
+	* Each time the returned stream is exhausted or closed, it starts again from the first item. If it is closed
+	* before all the items in this stream have been read, this stream is closed too, and later passes return only
+	* the items which had been read by then.
+	*
+	* @param [options] {Object} options
+	* @param [options.maxSize=Infinity] {number} maximum number of items to keep; reading more items than this fails with a {@link BufferOverflowError}
+	* @returns {BaseStream} a stream which can be iterated repeatedly
+	*/
+	cache({ maxSize = Infinity } = {}) {
+		return new CachedStream(new SharedSource(this, maxSize, true));
+	}
+
+	/** Recover from an error by continuing with a fallback stream.
+	*
+	* If retrieving an item from this stream throws an error (for example because a mapping function threw), this
+	* stream is closed and handler is called with the error. The resulting stream then continues with the items
+	* from whatever iterable handler returns; if it returns undefined, the resulting stream simply ends. Only the
+	* first error is handled; errors thrown by the fallback stream are not caught.
+	*
+	* @param handler {Function} function that takes an error and returns an {@link Iterable} or stream
+	* @returns {BaseStream} a stream containing the items in this stream up to the error, then items from the fallback
+	*/
+	catchError(handler) {
+		return new CatchingStream(this, handler);
+	}
+
+	/** Group items into arrays of a given size.
+	*
+	* The final array will contain fewer than size items if the number of items in the stream is not an
+	* exact multiple of size.
+	*
+	* @param size {number} number of items in each chunk
+	* @returns {BaseStream<Array>} a stream of arrays of adjacent items
+	*/
+	chunk(size) {
+		if (!(size >= 1)) throw new RangeError('size must be >= 1');
+		return new ChunkStream(this, size);
+	}
+
+	/** Find the k smallest items in the stream.
+	*
+	* Uses a heap, so at most k items are held in memory at any one time.
+	*
+	* @param k {number} number of items to find
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @returns {Array} the k smallest items, smallest first
+	*/
+	bottomK(k, comparator = natural) {
+		if (!(k >= 0)) throw new RangeError('k must be >= 0');
+		let heap = new Heap(descending(comparator));
+		let offer = item => {
+			if (heap.size < k) heap.push(item);
+			else if (k > 0 && comparator(item, heap.peek()) < 0) heap.replace(item);
+		};
+		this.forEach(offer);
+		return heap.drain().reverse();
+	}
+
+	/** Group runs of adjacent items into arrays.
+	*
+	* Each item is added to the current chunk while predicate(previous, item) evaluates to true; otherwise it 
+	* starts a new chunk.
+	*
+	* @param predicate {Function} takes the previous item and the current item, returning true if they belong in the same chunk
+	* @returns {BaseStream<Array>} a stream of arrays of adjacent items
+	*/
+	chunkWhile(predicate) {
+		return new ChunkWhileStream(this, predicate);
+	}
+
 	/** Concatenate this stream with another stream (or an iterator)
 	*
 	* @param iterator {Iterator<T>} - Stream or iterator to concatenate
@@ -87,6 +318,64 @@ class BaseStream {
 		return new ConcatenatedStream(this, iterator);
 	}
 
+	/** Remove duplicate items from the stream.
+	*
+	* The first item with any given key is kept and later items with the same key are dropped. Keys are compared as
+	* in a Set. Every key seen is remembered unless options.maxKeys is set.
+	*
+	* @param [key] {Function} function to get the key of an item - defaults to the item itself
+	* @param [options] {DistinctOptions} options
+	* @returns {BaseStream} a stream containing the first item with each key
+	*/
+	distinct(key = e=>e, { maxKeys } = {}) {
+		let seen = maxKeys === undefined ? new Set() : new LruSet(maxKeys);
+		return this.filter(item => {
+			let k = key(item);
+			let fresh = !seen.has(k);
+			seen.add(k);
+			return fresh;
+		});
+	}
+
+	/** Remove items which are equal to the item immediately before them.
+	*
+	* Only the previous item is remembered, so this is a cheap way to remove duplicates from a sorted stream.
+	*
+	* @param [equals] {Function} function which takes two items and returns true if they are equal - defaults to ===
+	* @returns {BaseStream} a stream in which no item is equal to the item before it
+	*/
+	distinctUntilChanged(equals = (a, b) => a === b) {
+		let started = false;
+		let previous;
+		return this.filter(item => {
+			let changed = !started || !equals(previous, item);
+			started = true;
+			previous = item;
+			return changed;
+		});
+	}
+
+	/** Skip the first n items in the stream.
+	*
+	* Equivalent to slice(n).
+	*
+	* @param n {number} number of items to skip
+	* @returns {BaseStream} a stream containing all but the first n elements of this stream
+	*/
+	drop(n) {
+		return this.slice(n);
+	}
+
+	/** Skip items in the stream while the predicate evaluates to true.
+	*
+	* @param predicate {Predicate} function to test items
+	* @param [context] {Object} data to pass through to test function
+	* @returns {BaseStream} a stream containing all elements of this stream starting with the first for which predicate evaluates to false
+	*/
+	dropWhile(predicate, context) {
+		return new DropWhileStream(this, predicate, context);
+	}
+
 	/** Create a stream of entries.
 	*
 	* an 'entry' is a key/value pair - the key in this case is the position of the item in the stream.
@@ -115,6 +404,25 @@ class BaseStream {
 		return this.reduce(reduction, true, condition, context);
 	}	
 
+	/** Get the distinct items in this stream which are not in another stream.
+	*
+	* The other stream is read in full when the first item is requested; only its keys are kept in memory.
+	*
+	* @param other {Iterable} items to exclude
+	* @param [key] {Function} function to get the key of an item in either stream - defaults to the item itself
+	* @param [options] {DistinctOptions} options for removing duplicates from this stream
+	* @returns {BaseStream} a stream containing the first item in this stream with each key not found in other
+	*/
+	except(other, key = e=>e, options) {
+		return deferred(this, () => {
+			let keys = keySet(other, key);
+			return this.map(item => [ key(item), item ])
+				.distinct(([k]) => k, options)
+				.filter(([k]) => !keys.has(k))
+				.map(([, item]) => item);
+		});
+	}
+
 	/** Filter a stream
 	* 
 	* @param predicate {Predicate} predicate to select items from stream
@@ -133,8 +441,8 @@ class BaseStream {
 	*/
 	find(predicate, context) {
 		let index = 0;
-		for (let item = this.next(); !item.done; item=this.next()) 
-			if (predicate(item.value, index++, context)) return item.value;
+		for (let item of this) 
+			if (predicate(item, index++, context)) return item;
 		return undefined;
 	}
 
@@ -146,8 +454,8 @@ class BaseStream {
 	*/
 	findIndex(predicate, context) {
 		let index = 0;
-		for (let item = this.next(); !item.done; item=this.next()) 
-			if (predicate(item.value, index, context)) return index; else index++;
+		for (let item of this) 
+			if (predicate(item, index, context)) return index; else index++;
 		return -1;
 	}
 
@@ -170,11 +478,99 @@ class BaseStream {
 	*/
 	forEach(callback, context) {
 		let index = 0;
-		for (let item = this.next(); !item.done; item=this.next()) {
-			callback(item.value, index++, context);
+		for (let item of this) {
+			callback(item, index++, context);
 		}		
 	}	
 
+	/** Join this stream with another stream, keeping unmatched items from both.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. In the result, unmatched items are paired with undefined; with the hash strategy, unmatched items from the other stream come last.
+	*
+	* @param other {Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseStream} a stream containing a row for every matching pair of items, plus a row for each unmatched item in either stream
+	*/
+	fullOuterJoin(other, options) {
+		return this._join('full', other, options);
+	}
+
+	/** Group items by key.
+	*
+	* By default, each group is an array of the items which have the same key. If a collector is supplied, each 
+	* group is instead reduced to a single value.
+	*
+	* @param key {MapFunction} function to get the key of an item
+	* @param [collector] {Collector} reduces the items in each group to a single value
+	* @returns {Map} a new Map from each key to the corresponding group
+	*/
+	groupBy(key, collector = {}) {
+		const { initial = () => [], reducer = (group, item) => { group.push(item); return group; } } = collector;
+		let groups = new Map();
+		let index = 0;
+		for (let item of this) {
+			let k = key(item, index);
+			let group = groups.has(k) ? groups.get(k) : initial(k);
+			groups.set(k, reducer(group, item, index++));
+		}
+		return groups;
+	}
+
+	/** Lazily group runs of adjacent items with the same key.
+	*
+	* Intended for streams which are already grouped (for example, sorted) by key. Returns a stream of entries [k, s] 
+	* where k is a key and s is a stream of the adjacent items having that key. No items are buffered; each group
+	* stream reads directly from this stream. Moving on to the next entry skips any items in the current group 
+	* which have not yet been read, after which the current group stream is empty.
+	*
+	* @param key {MapFunction} function to get the key of an item
+	* @param [equals] {Function} function which takes two keys and returns true if they are the same - defaults to ===
+	* @returns {BaseStream<Entry>} a stream of [key, stream] entries
+	*/
+	groupAdjacent(key, equals = (a, b) => a === b) {
+		return new AdjacentGroupsStream(this, key, equals);
+	}
+
+	/** Count the items with each key.
+	*
+	* @param key {MapFunction} function to get the key of an item
+	* @returns {Map} a new Map from each key to the number of items with that key
+	*/
+	countBy(key) {
+		return this.groupBy(key, { initial: () => 0, reducer: count => count + 1 });
+	}
+
+	/** Join this stream with another stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}.
+	*
+	* @param other {Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseStream} a stream containing a row for every pair of items, one from each stream, with matching keys
+	*/
+	innerJoin(other, options) {
+		return this._join('inner', other, options);
+	}
+
+	/** Get the distinct items in this stream which are also in another stream.
+	*
+	* The other stream is read in full when the first item is requested; only its keys are kept in memory.
+	*
+	* @param other {Iterable} items to match
+	* @param [key] {Function} function to get the key of an item in either stream - defaults to the item itself
+	* @param [options] {DistinctOptions} options for removing duplicates from this stream
+	* @returns {BaseStream} a stream containing the first item in this stream with each key found in other
+	*/
+	intersect(other, key = e=>e, options) {
+		return deferred(this, () => {
+			let keys = keySet(other, key);
+			return this.map(item => [ key(item), item ])
+				.distinct(([k]) => k, options)
+				.filter(([k]) => keys.has(k))
+				.map(([, item]) => item);
+		});
+	}
+
 	/** Test to see if stream includes a given value
 	*
 	* @param {Object} item value to look for
@@ -209,6 +605,60 @@ class BaseStream {
 		return result;
 	}
 
+	/** Join this stream with another stream, keeping unmatched items from this stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. In the result, unmatched items are paired with undefined.
+	*
+	* @param other {Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseStream} a stream containing a row for every matching pair of items, plus a row for each item in this stream with no match
+	*/
+	leftJoin(other, options) {
+		return this._join('left', other, options);
+	}
+
+	/** Find the largest item in the stream.
+	*
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @returns {Object} the first item in the stream which is not smaller than any other item, or undefined if the stream is empty
+	*/
+	max(comparator = natural) {
+		return this.reduce((max, item, index) => index === 0 || comparator(item, max) > 0 ? item : max, undefined);
+	}
+
+	/** Find the item in the stream with the largest key.
+	*
+	* Equivalent to max(by(key, comparator)).
+	*
+	* @param key {Function} function to get the key of an item
+	* @param [comparator=natural] {Comparator} function used to order keys
+	* @returns {Object} the first item in the stream with the largest key, or undefined if the stream is empty
+	*/
+	maxBy(key, comparator = natural) {
+		return this.max(by(key, comparator));
+	}
+
+	/** Find the smallest item in the stream.
+	*
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @returns {Object} the first item in the stream which is not larger than any other item, or undefined if the stream is empty
+	*/
+	min(comparator = natural) {
+		return this.reduce((min, item, index) => index === 0 || comparator(item, min) < 0 ? item : min, undefined);
+	}
+
+	/** Find the item in the stream with the smallest key.
+	*
+	* Equivalent to min(by(key, comparator)).
+	*
+	* @param key {Function} function to get the key of an item
+	* @param [comparator=natural] {Comparator} function used to order keys
+	* @returns {Object} the first item in the stream with the smallest key, or undefined if the stream is empty
+	*/
+	minBy(key, comparator = natural) {
+		return this.min(by(key, comparator));
+	}
+
 	/** Apply a map operation to a stream.
 	*
 	* @param mapper {MapFunction} map function 
@@ -219,6 +669,43 @@ class BaseStream {
 		return new MappingStream(this, mapper, context);
 	}
 
+	/** Register a callback to be executed when the stream is closed.
+	*
+	* The callback is executed exactly once, when the stream is exhausted, when `return` is called on the
+	* returned stream (for example because a terminal operation such as `find` stopped early), or when retrieving
+	* the next item throws an error. This makes it possible to release resources such as database cursors
+	* deterministically.
+	*
+	* @param callback {Function} function to execute when the stream is closed
+	* @returns {BaseStream} a stream containing the same items as this stream
+	*/
+	onClose(callback) {
+		return new ClosingStream(this, callback);
+	}
+
+	/** Split items into those which match a predicate and those which do not.
+	*
+	* @param predicate {Predicate} function to test items
+	* @param [context] {Object} data to pass through to test function
+	* @returns {Array} a pair [matching, rest] of arrays
+	*/
+	partition(predicate, context) {
+		let matching = [];
+		let rest = [];
+		this.forEach((item, index) => (predicate(item, index, context) ? matching : rest).push(item));
+		return [ matching, rest ];
+	}
+
+	/** Create a stream of pairs of adjacent items.
+	*
+	* Equivalent to window(2).
+	*
+	* @returns {BaseStream<Array>} a stream of [previous, current] pairs
+	*/
+	pairwise() {
+		return this.window(2);
+	}
+
 	/** Add an element to a stream
 	*
 	* Equivalent to this.concat(Stream.from(arguments))
@@ -244,15 +731,31 @@ class BaseStream {
 	*/
 	reduce(callback, value, condition = ()=>true, context) {
 		let index = 0;
-		for (let item = this.next(); !item.done && condition(value, index, item.value); item=this.next()) {
-			value = callback(value, item.value,  index++, context);
+		for (let item of this) {
+			if (!condition(value, index, item)) break;
+			value = callback(value, item,  index++, context);
 		}		
 		return value;
 	}
 
 
+	/** Close the stream.
+	*
+	* Implements the optional `return` method of the iterator protocol. Closes any upstream streams or iterators,
+	* releasing any resources they hold. Subsequent calls to next will typically return { done: true }.
+	*
+	* @param [value] {Object} value to return
+	* @returns {IteratorValue} { done: true, value }
+	*/
+	return(value) {
+		return { done: true, value };
+	}
+
 	/** Get the first item in the stream. 
 	* 
+	* Unlike terminal operations such as `find`, shift does not close the stream; the remaining items can still be
+	* retrieved from it.
+	*
 	* @returns {Object} the first item in the stream, or undefined if none exists.
 	*/
 	shift() {
@@ -262,17 +765,73 @@ class BaseStream {
 
 	/** Get a subset of data from the stream, throwing away other values.
 	*
+	* Once the end of the slice is reached, no further items are retrieved and this stream is closed; it is
+	* therefore safe to slice an infinite stream.
+	*
 	* @param [begin = 0] {number} index of first element in slice
-	* @param [index] of first element after slice; by default all remaining elements
+	* @param [end] {number} index of first element after slice; by default all remaining elements
 	* @returns {BaseStream} a stream containing a subset of elements 
 	*/
 	slice(begin = 0, end) {
 		if (begin < 0) throw new RangeError('begin must be > 0');
-		if (end && end < 0) throw new RangeError('end must be > 0');
-		let predicate = end 
-			? (e,i) => begin <= i && i < end
-			: (e,i) => begin <= i;
-		return this.filter(predicate);
+		if (end !== undefined && end < 0) throw new RangeError('end must be > 0');
+		return new SliceStream(this, begin, end);
+	}
+
+	/** Find the items in this stream which have at least one matching item in another stream.
+	*
+	* Items are matched by key, using either a hash join or a merge join as described in {@link JoinOptions}. The combiner is not used.
+	*
+	* @param other {Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseStream} a stream containing items in this stream whose key matches some item in other
+	*/
+	semiJoin(other, options) {
+		return this._join('semi', other, options);
+	}
+
+	/** Skip any item which cannot be retrieved because of an error.
+	*
+	* If retrieving an item from this stream throws an error (for example because a mapping function threw on 
+	* a malformed item), onError is called with the error and the stream moves on to the next item. To abort the
+	* stream, onError may rethrow the error, which closes this stream. Note that a generator which throws an error
+	* cannot be resumed, so errors thrown by a generator will still end the stream.
+	*
+	* A source which fails every time it is asked for an item would otherwise never end, so if maxConsecutiveErrors
+	* attempts in a row to retrieve an item fail, the stream is closed and the last error is thrown (once onError has
+	* been called with it).
+	*
+	* @param [onError] {Function} function called with each error (and the number of errors so far); by default errors are ignored
+	* @param [options] {Object} options
+	* @param [options.maxConsecutiveErrors=100] {number} number of consecutive errors after which to give up
+	* @returns {BaseStream} a stream containing every item in this stream that could be retrieved without error
+	*/
+	skipErrors(onError = () => undefined, { maxConsecutiveErrors = 100 } = {}) {
+		if (!(maxConsecutiveErrors >= 1)) throw new RangeError('maxConsecutiveErrors must be >= 1');
+		return new SkipErrorsStream(this, onError, maxConsecutiveErrors);
+	}
+
+	/** Sort the stream.
+	*
+	* All the items in this stream are read into memory the first time an item is requested from the sorted stream.
+	* The sort is stable.
+	*
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @returns {BaseStream} a stream containing the items in this stream in sorted order
+	*/
+	sorted(comparator = natural) {
+		let sorted = null;
+		return new Stream({
+			next: () => {
+				if (!sorted) sorted = this.toArray().sort(comparator)[Symbol.iterator]();
+				return sorted.next();
+			},
+			return: value => {
+				let buffered = sorted;
+				sorted = [][Symbol.iterator]();
+				return buffered ? { done: true, value } : this.return(value);
+			}
+		});
 	}
 
 	/** Find if some element in the stream matches the predicate.
@@ -295,13 +854,113 @@ class BaseStream {
 	}
 
 
+	/** Split this stream into several independent streams.
+	*
+	* Each of the returned streams contains every item in this stream. Items read by one stream but not yet by all the
+	* others are buffered; this stream is closed once all the returned streams are closed or exhausted.
+	*
+	* @param [n=2] {number} number of streams to create
+	* @param [options] {Object} options
+	* @param [options.bufferSize=Infinity] {number} maximum number of buffered items; a stream which gets further than this ahead of the slowest stream fails with a {@link BufferOverflowError}
+	* @returns {BaseStream[]} an array of n streams
+	*/
+	tee(n = 2, { bufferSize = Infinity } = {}) {
+		let source = new SharedSource(this, bufferSize, false);
+		return Array.from({ length: n }, () => source.subscribe(0));
+	}
+
+	/** Take the first n items in the stream.
+	*
+	* Equivalent to slice(0, n).
+	*
+	* @param n {number} number of items to take
+	* @returns {BaseStream} a stream containing at most the first n elements of this stream
+	*/
+	take(n) {
+		return this.slice(0, n);
+	}
+
+	/** Find the k largest items in the stream.
+	*
+	* Uses a heap, so at most k items are held in memory at any one time.
+	*
+	* @param k {number} number of items to find
+	* @param [comparator=natural] {Comparator} function used to order items
+	* @returns {Array} the k largest items, largest first
+	*/
+	topK(k, comparator = natural) {
+		return this.bottomK(k, descending(comparator));
+	}
+
+	/** Take items from the stream while the predicate evaluates to true.
+	*
+	* Once the predicate evaluates to false, no further items are retrieved and this stream is closed.
+	*
+	* @param predicate {Predicate} function to test items
+	* @param [context] {Object} data to pass through to test function
+	* @returns {BaseStream} a stream containing elements of this stream up to the first for which predicate evaluates to false
+	*/
+	takeWhile(predicate, context) {
+		return new TakeWhileStream(this, predicate, context);
+	}
+
+	/** Get the distinct items in either this stream or another stream.
+	*
+	* @param other {Iterable} items to add
+	* @param [key] {Function} function to get the key of an item in either stream - defaults to the item itself
+	* @param [options] {DistinctOptions} options for removing duplicates
+	* @returns {BaseStream} a stream containing the first item with each key from this stream followed by other
+	*/
+	union(other, key = e=>e, options) {
+		return this.concat(Stream.from(other)).distinct(key, options);
+	}
+
+	/** Create a stream of sliding windows over this stream.
+	*
+	* Each window is an array of size adjacent items; each window starts step items after the previous one. Only
+	* complete windows are returned, so a stream with fewer than size items produces no windows at all.
+	*
+	* @param size {number} number of items in each window
+	* @param [step=1] {number} number of items between the start of one window and the start of the next
+	* @returns {BaseStream<Array>} a stream of arrays of adjacent items
+	*/
+	window(size, step = 1) {
+		if (!(size >= 1)) throw new RangeError('size must be >= 1');
+		if (!(step >= 1)) throw new RangeError('step must be >= 1');
+		return new WindowStream(this, size, step);
+	}
+
+	/** Combine this stream with another, item by item.
+	*
+	* Equivalent to Stream.zip(this, other).map(([a,b]) => combiner(a,b)). The resulting stream ends as soon as
+	* either this stream or the other stream ends.
+	*
+	* @param other {Iterable} stream or iterable to combine with this stream
+	* @param combiner {Function} function which takes an item from each stream and returns a combined value
+	* @returns {BaseStream} a stream of combined values
+	*/
+	zipWith(other, combiner) {
+		return Stream.zip(this, other).map(([a,b]) => combiner(a,b));
+	}
+
+	/** Convert stream to an asynchronous stream.
+	*
+	* Items are read from this stream as they are requested from the async stream, and closing the async stream closes
+	* this stream.
+	*
+	* @returns {AsyncStream} an async stream containing the same items as this stream
+	*/
+	toAsync() {
+		return AsyncStream.from(this);
+	}
+
 	/** Convert stream to array 
 	*
 	* @returns {Array} an array containing all elements in the stream.
 	*/
 	toArray() {
 		let array = [];
-		for (let item = this.next(); !item.done; item=this.next()) array.push(item.value);
+		for (let item of this) array.push(item);
 		return array;
 	}
 
@@ -323,8 +982,8 @@ class BaseStream {
 	*/
 	toMap(key = e=>e[0], value = e=>e[1]) {
 		let map = new Map();
-		for (let item = this.next(); !item.done; item=this.next()) {
-			map.set(key(item.value),value(item.value));
+		for (let item of this) {
+			map.set(key(item),value(item));
 		}
 		return map;		
 	}
@@ -337,11 +996,34 @@ class BaseStream {
 	*/
 	toObject(key = e=>e[0], value = e=>e[1]) {
 		let obj = {};
-		for (let item = this.next(); !item.done; item=this.next()) {
-			obj[key(item.value)]=value(item.value);
+		for (let item of this) {
+			obj[key(item)]=value(item);
 		}
 		return obj;		
 	}
+
+	/** Join this stream with another stream.
+	*
+	* @private
+	* @param type {string} type of join
+	* @param other {Iterable} stream or iterable to join with
+	* @param [options] {JoinOptions} options
+	* @returns {BaseStream} a stream of rows
+	*/
+	_join(type, other, { key = e=>e[0], otherKey = key, combiner = (left, right) => [left, right], strategy = 'hash', comparator = natural } = {}) {
+		let groups;
+		if (strategy === 'hash') {
+			groups = hashJoinGroups(this, Stream.from(other), key, otherKey, type === 'full');
+		} else if (strategy === 'merge') {
+			let equals = (a, b) => comparator(a, b) === 0;
+			let group = (stream, key) => stream.groupAdjacent(key, equals).map(([k, items]) => [k, items.toArray()]);
+			groups = new Stream(new MergeJoinIterator(group(this, key), group(Stream.from(other), otherKey), comparator));
+		} else {
+			throw new RangeError('strategy must be \'hash\' or \'merge\'');
+		}
+		let rows = groups.flatten(([lefts, rights]) => Stream.from(JOIN_ROWS[type](lefts, rights)));
+		return isCombined(type) ? rows.map(([left, right]) => combiner(left, right)) : rows;
+	}
 }
 
 /** Stream class that simply wraps another iterator.
@@ -378,6 +1060,24 @@ class Stream extends BaseStream {
 		return this.iterator.next();
 	}
 
+	/** Close the stream, closing the iterator supplied in the constructor.
+	*
+	* @param [value] {Object} value to return
+	* @returns {IteratorValue} the result of calling return on the iterator supplied in the constructor
+	*/
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the iterator supplied in the constructor.
+	*
+	* @param error {Error} error to signal
+	* @returns {IteratorValue} the result of calling throw on the iterator supplied in the constructor
+	*/
+	throw(error) {
+		return throwIterator(this.iterator, error);
+	}
+
 	/** Build a stream from an iterable
 	*
 	* If source is Iterable, return a stream over items in source. Otherwise, return a stream with a single
@@ -400,13 +1100,163 @@ class Stream extends BaseStream {
 		return new Stream( { next() { let { done, value } = keys.next(); return { done, value: [value, source[value]] } } } );
 	}
 
-	/** Build a stream from the given arguments.
+	/** Build a stream which repeats the items of an iterable forever.
 	*
-	* @param elements {...*} to convert into a stream.
-	* @returns {Stream} a stream returning each argument in turn.
+	* The items are buffered the first time through, so the iterable is only read once. Cycling an empty iterable
+	* gives an empty stream.
+	*
+	* @param iterable {Iterable} items to repeat
+	* @returns {Stream} an infinite stream of the items in iterable, repeated
 	*/
-	static of(...elements) {
-		return Stream.from(elements);
+	static cycle(iterable) {
+		return new Stream(new CycleIterator(Stream.from(iterable)));
+	}
+
+	/** Build an infinite stream by calling a function repeatedly.
+	*
+	* @param fn {Function} function which is passed the index of each item and returns the item
+	* @returns {Stream} an infinite stream of values returned by fn
+	*/
+	static generate(fn) {
+		let index = 0;
+		return new Stream({ next() { return { done: false, value: fn(index++) }; } });
+	}
+
+	/** Build an infinite stream by repeatedly applying a function to a seed value.
+	*
+	* @param seed {*} first item in the stream
+	* @param fn {Function} function which takes an item and returns the next item
+	* @returns {Stream} an infinite stream containing seed, fn(seed), fn(fn(seed)), and so on
+	*/
+	static iterate(seed, fn) {
+		let started = false;
+		let value = seed;
+		return new Stream({ next() {
+			if (started) value = fn(value); else started = true;
+			return { done: false, value };
+		} });
+	}
+
+	/** Build a stream of numbers in a range.
+	*
+	* @param [start=0] {number} first number in the range
+	* @param [end=Infinity] {number} end of the range, which is not included
+	* @param [step=1] {number} difference between successive numbers, which may be negative
+	* @returns {Stream<number>} a stream of numbers from start up to (or, if step is negative, down to) end
+	*/
+	static range(start = 0, end = Infinity, step = 1) {
+		if (!step) throw new RangeError('step must be a non-zero number');
+		let index = 0;
+		return new Stream({ next() {
+			let value = start + step * index;
+			if (step > 0 ? value >= end : value <= end) return { done: true };
+			index++;
+			return { done: false, value };
+		} });
+	}
+
+	/** Build a stream which repeats a single value.
+	*
+	* @param value {*} value to repeat
+	* @param [n=Infinity] {number} number of times to repeat value
+	* @returns {Stream} a stream containing value n times
+	*/
+	static repeat(value, n = Infinity) {
+		let count = 0;
+		return new Stream({ next() { return count++ < n ? { done: false, value } : { done: true }; } });
+	}
+
+	/** Build a stream by repeatedly applying a function to some state.
+	*
+	* Each call to fn returns the next item and the state from which to calculate the item after it; the stream ends
+	* when fn returns undefined (or null).
+	*
+	* @param seed {*} initial state
+	* @param fn {Function} function which takes the current state and returns an array [item, nextState], or undefined to end the stream
+	* @returns {Stream} a stream of the items returned by fn
+	*/
+	static unfold(seed, fn) {
+		let state = seed;
+		let done = false;
+		return new Stream({ next() {
+			let result = done ? undefined : fn(state);
+			if (result === undefined || result === null) {
+				done = true;
+				return { done: true };
+			}
+			state = result[1];
+			return { done: false, value: result[0] };
+		} });
+	}
+
+	/** Merge several sorted iterables into a single sorted stream.
+	*
+	* Each iterable must already be sorted according to comparator. Items are read lazily, one at a time from 
+	* each iterable, using a heap to find the smallest. Where items from two iterables are equal, the item from the
+	* iterable supplied first is returned first. If reading from any iterable fails, all
+	* the iterables are closed.
+	*
+	* @param comparator {Comparator} function by which each iterable is sorted
+	* @param iterables {...Iterable} sorted iterables to merge
+	* @returns {Stream} a sorted stream containing every item from every iterable
+	*/
+	static mergeSorted(comparator, ...iterables) {
+		return new Stream(new MergeIterator(iterables.map(iterable => Stream.from(iterable)), comparator));
+	}
+
+	/** Merge several sorted iterables into a single sorted stream, dropping duplicates.
+	*
+	* Like {@link Stream.mergeSorted}, except that when several items compare equal (whether they come from the same 
+	* iterable or different ones) only the first is returned.
+	*
+	* @param comparator {Comparator} function by which each iterable is sorted
+	* @param iterables {...Iterable} sorted iterables to merge
+	* @returns {Stream} a sorted stream containing the first of each set of equal items
+	*/
+	static mergeSortedUnique(comparator, ...iterables) {
+		let first = true;
+		let previous;
+		return Stream.mergeSorted(comparator, ...iterables).filter(item => {
+			let unique = first || comparator(previous, item) !== 0;
+			first = false;
+			previous = item;
+			return unique;
+		});
+	}
+
+	/** Walk several iterables in lockstep.
+	*
+	* The resulting stream returns an array containing the first item of each iterable, then an array containing
+	* the second item of each iterable, and so on. It ends as soon as any of the iterables ends, at which point
+	* the other iterables are closed.
+	*
+	* @param iterables {...Iterable} iterables to combine
+	* @returns {Stream<Array>} a stream of tuples
+	*/
+	static zip(...iterables) {
+		return new Stream(new ZipIterator(iterables.map(iterable => Stream.from(iterable)), false));
+	}
+
+	/** Walk several iterables in lockstep until all of them end.
+	*
+	* Like {@link Stream.zip}, except that the resulting stream ends only when all of the iterables end. Items from
+	* iterables which end early are replaced by the fill value.
+	*
+	* @param fill {Object} value used in place of items from iterables which have ended
+	* @param iterables {...Iterable} iterables to combine
+	* @returns {Stream<Array>} a stream of tuples
+	*/
+	static zipLongest(fill, ...iterables) {
+		return new Stream(new ZipIterator(iterables.map(iterable => Stream.from(iterable)), true, fill));
+	}
+
+	/** Build a stream from the given arguments.
+	*
+	* @param elements {...*} to convert into a stream.
+	* @returns {Stream} a stream returning each argument in turn.
+	*/
+	static of(...elements) {
+		return Stream.from(elements);
 	}
 
 	/** an empty stream
@@ -452,7 +1302,20 @@ class FilterStream extends BaseStream {
 	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
 	*/
 	next() {
-		let current = this.iterator.next();
+		return this._filter(this.iterator.next());
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator, returning the next matching item */
+	throw(error) {
+		return this._filter(throwIterator(this.iterator, error));
+	}
+
+	_filter(current) {
 		while (!current.done && !this.predicate(current.value, this.index++)) {
 			current = this.iterator.next();
 		}
@@ -460,6 +1323,172 @@ class FilterStream extends BaseStream {
 	}
 }
 
+/** Stream that returns a contiguous subset of the items in some other stream or iterator.
+*
+* Once the end of the subset is reached, the underlying iterator is closed.
+*
+* @private
+*/
+class SliceStream extends BaseStream {
+
+	/** Construct a new slice.
+	*
+	* @param iterator iterator or stream to provide underlying data
+	* @param begin {number} index of first item to return
+	* @param [end] {number} index of first item after the slice; if undefined, all remaining items are returned
+	*/
+	constructor(iterator, begin, end) {
+		super();
+		this.iterator = iterator;
+		this.begin = begin;
+		this.end = end;
+		this.index = 0;
+		this.closed = false;
+	}
+
+	/** Get the next item in the stream.
+	*
+	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
+	* items in the stream.
+	*
+	* @returns the next item in the slice
+	*/
+	next() {
+		if (this.closed) return { done: true };
+		if (this.end !== undefined && Math.max(this.index, this.begin) >= this.end) return this.return();
+		return this._slice(this.iterator.next());
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		if (!this.closed) {
+			this.closed = true;
+			closeIterator(this.iterator);
+		}
+		return { done: true, value };
+	}
+
+	/** Signal an error to the underlying iterator, returning the next item in the slice */
+	throw(error) {
+		if (this.closed) throw error;
+		return this._slice(throwIterator(this.iterator, error));
+	}
+
+	_slice(current) {
+		while (!current.done && this.index++ < this.begin) {
+			current = this.iterator.next();
+		}
+		return current;
+	}
+}
+
+/** Stream that returns items from some other stream or iterator until a predicate evaluates to false.
+*
+* Once the predicate evaluates to false, the underlying iterator is closed.
+*
+* @private
+*/
+class TakeWhileStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator iterator or stream to provide underlying data
+	* @param predicate {Function} function to test items.
+	* @param context (optional) data to pass through to test function
+	*/
+	constructor(iterator, predicate, context) {
+		super();
+		this.iterator = iterator;
+		this.predicate = predicate;
+		this.context = context;
+		this.index = 0;
+		this.closed = false;
+	}
+
+	/** Get the next item in the stream.
+	*
+	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
+	* items in the stream.
+	*
+	* @returns the next item, or { done: true } once the predicate has evaluated to false
+	*/
+	next() {
+		if (this.closed) return { done: true };
+		return this._take(this.iterator.next());
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		if (!this.closed) {
+			this.closed = true;
+			closeIterator(this.iterator);
+		}
+		return { done: true, value };
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		if (this.closed) throw error;
+		return this._take(throwIterator(this.iterator, error));
+	}
+
+	_take(current) {
+		if (current.done || this.predicate(current.value, this.index++, this.context)) return current;
+		return this.return();
+	}
+}
+
+/** Stream that skips items from some other stream or iterator until a predicate evaluates to false.
+*
+* @private
+*/
+class DropWhileStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator iterator or stream to provide underlying data
+	* @param predicate {Function} function to test items.
+	* @param context (optional) data to pass through to test function
+	*/
+	constructor(iterator, predicate, context) {
+		super();
+		this.iterator = iterator;
+		this.predicate = predicate;
+		this.context = context;
+		this.index = 0;
+		this.dropping = true;
+	}
+
+	/** Get the next item in the stream.
+	*
+	* As per the iterable protocol, next returns the tuple { done, value } where done is true once there are no more
+	* items in the stream.
+	*
+	* @returns the next item
+	*/
+	next() {
+		return this._drop(this.iterator.next());
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		return this._drop(throwIterator(this.iterator, error));
+	}
+
+	_drop(current) {
+		while (this.dropping && !current.done && this.predicate(current.value, this.index++, this.context)) {
+			current = this.iterator.next();
+		}
+		this.dropping = false;
+		return current;
+	}
+}
+
 /** Stream that applies a function to transform values supplied by some other stream or iterator.
 * @private
 */
@@ -487,7 +1516,20 @@ class MappingStream extends BaseStream {
 	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
 	*/
 	next() {
-		let { done, value } = this.iterator.next();
+		return this._map(this.iterator.next());
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator, returning the next mapped item */
+	throw(error) {
+		return this._map(throwIterator(this.iterator, error));
+	}
+
+	_map({ done, value }) {
 		if (done) return { done };
 		return { done, value: this.mapper(value, this.index++, this.context) };
 	}
@@ -510,6 +1552,7 @@ class ConcatenatedStream extends Stream {
 		super();
 		this.iterator1 = iterator1;
 		this.iterator2 = iterator2;
+		this.first_done = false;
 	}
 
 	/** Get the next item in the stream.
@@ -520,10 +1563,37 @@ class ConcatenatedStream extends Stream {
 	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
 	*/
 	next() {
-		let current = this.iterator1.next();
+		if (!this.first_done) {
+			let current = this.iterator1.next();
+			if (!current.done) return current;
+			this.first_done = true;
+		}
+		return this.iterator2.next();
+	}
+
+	/** Close the stream and both underlying iterators */
+	return(value) {
+		try {
+			closeIterator(this.iterator1);
+		} finally {
+			closeIterator(this.iterator2);
+		}
+		return { done: true, value };
+	}
+
+	/** Signal an error to whichever underlying iterator is currently supplying items */
+	throw(error) {
+		if (this.first_done) return throwIterator(this.iterator2, error);
+		let current;
+		try {
+			current = throwIterator(this.iterator1, error);
+		} catch (err) {
+			closeIterator(this.iterator2);
+			throw err;
+		}
 		if (!current.done) return current;
-		current = this.iterator2.next();
-		return current;
+		this.first_done = true;
+		return this.iterator2.next();
 	}
 }
 
@@ -542,15 +1612,18 @@ class FlattenedStream extends Stream {
 		super();
 		this.outer = iterator;
 		this.stream_accessor = stream_accessor;
-		this._nextOuter();
+		this.inner = null;
+		this.outer_done = false;
 	}
 
 	_nextOuter() {
 		let { done, value } = this.outer.next();
-		if (done)
+		if (done) {
+			this.outer_done = true;
 			this.inner = Stream.EMPTY;
-		else
+		} else {
 			this.inner = this.stream_accessor(value);
+		}
 	}
 
 	/** Get the next item in the stream.
@@ -561,11 +1634,756 @@ class FlattenedStream extends Stream {
 	* @returns the next item (which is just the result of calling next on the iterator supplied in the constructor)
 	*/
 	next() {
-		let current = this.inner.next();
+		for (;;) {
+			if (this.inner) {
+				let current = this.inner.next();
+				if (!current.done) return current;
+			}
+			if (this.outer_done) return { done: true };
+			this._nextOuter();
+		}
+	}
+
+	/** Close the stream, closing both the current inner stream and the outer iterator */
+	return(value) {
+		try {
+			closeIterator(this.inner);
+		} finally {
+			closeIterator(this.outer);
+		}
+		this.inner = Stream.EMPTY;
+		this.outer_done = true;
+		return { done: true, value };
+	}
+
+	/** Signal an error to the current inner stream */
+	throw(error) {
+		let current;
+		try {
+			current = throwIterator(this.inner, error);
+		} catch (err) {
+			closeIterator(this.outer);
+			throw err;
+		}
 		if (!current.done) return current;
-		//TODO: I think there is a bug here to do with handling empty inner collections
-		this._nextOuter();
-		return this.inner.next();
+		return this.next();
+	}
+}
+
+/** Stream that executes a callback once the underlying iterator is closed.
+*
+* @private
+*/
+class ClosingStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param callback function to execute when the stream is closed
+	*/
+	constructor(iterator, callback) {
+		super();
+		this.iterator = iterator;
+		this.callback = callback;
+		this.closed = false;
+	}
+
+	_close() {
+		if (!this.closed) {
+			this.closed = true;
+			this.callback();
+		}
+	}
+
+	_call(operation) {
+		let current;
+		try {
+			current = operation();
+		} catch (err) {
+			this._close();
+			throw err;
+		}
+		if (current.done) this._close();
+		return current;
+	}
+
+	/** Get the next item in the stream, executing the callback if there are no more items */
+	next() {
+		return this._call(() => this.iterator.next());
+	}
+
+	/** Close the stream and the underlying iterator, then execute the callback */
+	return(value) {
+		try {
+			return closeIterator(this.iterator, value);
+		} finally {
+			this._close();
+		}
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		return this._call(() => throwIterator(this.iterator, error));
+	}
+}
+
+/** Stream that groups items from some other stream or iterator into arrays of a fixed size.
+*
+* @private
+*/
+class ChunkStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param size {number} number of items in each chunk
+	*/
+	constructor(iterator, size) {
+		super();
+		this.iterator = iterator;
+		this.size = size;
+	}
+
+	/** Get the next chunk */
+	next() {
+		let chunk = [];
+		while (chunk.length < this.size) {
+			let current = this.iterator.next();
+			if (current.done) break;
+			chunk.push(current.value);
+		}
+		return chunk.length > 0 ? { done: false, value: chunk } : { done: true };
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+}
+
+/** Stream that returns sliding windows over some other stream or iterator.
+*
+* @private
+*/
+class WindowStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param size {number} number of items in each window
+	* @param step {number} number of items between the start of each window
+	*/
+	constructor(iterator, size, step) {
+		super();
+		this.iterator = iterator;
+		this.size = size;
+		this.step = step;
+		this.buffer = [];
+		this.started = false;
+	}
+
+	/** Get the next window */
+	next() {
+		if (this.started) {
+			let skip = this.step - this.buffer.length;
+			this.buffer.splice(0, this.step);
+			for (; skip > 0; skip--) {
+				if (this.iterator.next().done) return { done: true };
+			}
+		}
+		this.started = true;
+		while (this.buffer.length < this.size) {
+			let current = this.iterator.next();
+			if (current.done) {
+				this.buffer = [];
+				return { done: true };
+			}
+			this.buffer.push(current.value);
+		}
+		return { done: false, value: this.buffer.slice() };
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		this.buffer = [];
+		return closeIterator(this.iterator, value);
+	}
+}
+
+/** Stream that groups runs of items from some other stream or iterator into arrays.
+*
+* @private
+*/
+class ChunkWhileStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param predicate {Function} takes previous and current items, returning true if they are in the same chunk
+	*/
+	constructor(iterator, predicate) {
+		super();
+		this.iterator = iterator;
+		this.predicate = predicate;
+		this.pending = null;
+	}
+
+	/** Get the next chunk */
+	next() {
+		let current = this.pending || this.iterator.next();
+		this.pending = null;
+		if (current.done) return { done: true };
+		let chunk = [ current.value ];
+		for (current = this.iterator.next(); !current.done; current = this.iterator.next()) {
+			if (!this.predicate(chunk[chunk.length - 1], current.value)) {
+				this.pending = current;
+				break;
+			}
+			chunk.push(current.value);
+		}
+		return { done: false, value: chunk };
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		this.pending = null;
+		return closeIterator(this.iterator, value);
+	}
+}
+
+/** Stream of groups of adjacent items with the same key.
+*
+* @private
+*/
+class AdjacentGroupsStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param key {Function} function to get the key of an item
+	* @param equals {Function} function which returns true if two keys are the same
+	*/
+	constructor(iterator, key, equals) {
+		super();
+		this.iterator = iterator;
+		this.key = key;
+		this.equals = equals;
+		this.index = 0;
+		this.lookahead = null;
+		this.group = null;
+	}
+
+	/** Get the next [key, group] entry, skipping any unread items in the current group */
+	next() {
+		let lookahead = this._peek();
+		if (this.group) {
+			this.group.finished = true;
+			while (!lookahead.done && this.equals(lookahead.key, this.group.key)) {
+				this.lookahead = null;
+				lookahead = this._peek();
+			}
+		}
+		if (lookahead.done) return { done: true };
+		this.group = new AdjacentGroupStream(this, lookahead.key);
+		return { done: false, value: [ lookahead.key, this.group ] };
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		if (this.group) this.group.finished = true;
+		this.lookahead = { done: true };
+		return closeIterator(this.iterator, value);
+	}
+
+	_peek() {
+		if (!this.lookahead) {
+			let { done, value } = this.iterator.next();
+			this.lookahead = done ? { done } : { done, value, key: this.key(value, this.index++) };
+		}
+		return this.lookahead;
+	}
+}
+
+/** Stream of adjacent items with the same key, read directly from an AdjacentGroupsStream.
+*
+* @private
+*/
+class AdjacentGroupStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param groups {AdjacentGroupsStream} stream of groups which supplies items
+	* @param key key of the items in this group
+	*/
+	constructor(groups, key) {
+		super();
+		this.groups = groups;
+		this.key = key;
+		this.finished = false;
+	}
+
+	/** Get the next item in the group */
+	next() {
+		if (this.finished) return { done: true };
+		let lookahead = this.groups._peek();
+		if (lookahead.done || !this.groups.equals(lookahead.key, this.key)) {
+			this.finished = true;
+			return { done: true };
+		}
+		this.groups.lookahead = null;
+		return { done: false, value: lookahead.value };
+	}
+
+	/** Stop reading the group; remaining items are skipped when the next group is requested */
+	return(value) {
+		this.finished = true;
+		return { done: true, value };
+	}
+}
+
+/** Iterator which repeats the items from another iterator forever.
+*
+* @private
+*/
+class CycleIterator {
+
+	/** Constructor
+	*
+	* @param iterator {Iterator} items to repeat
+	*/
+	constructor(iterator) {
+		this.iterator = iterator;
+		this.buffer = [];
+		this.source_done = false;
+		this.index = 0;
+	}
+
+	/** Get the next item, reading from the source iterator until it is done and from the buffer thereafter */
+	next() {
+		if (!this.source_done) {
+			let { done, value } = this.iterator.next();
+			if (!done) {
+				this.buffer.push(value);
+				return { done, value };
+			}
+			this.source_done = true;
+		}
+		if (this.buffer.length === 0) return { done: true };
+		return { done: false, value: this.buffer[this.index++ % this.buffer.length] };
+	}
+
+	/** Close the source iterator */
+	return(value) {
+		this.buffer = [];
+		if (this.source_done) return { done: true, value };
+		this.source_done = true;
+		return closeIterator(this.iterator, value);
+	}
+}
+
+/** Source of items which can be read independently by several readers.
+*
+* Items are read from the underlying iterator as the leading reader needs them, and buffered until every reader has
+* read them. If the source is an error, the error is thrown to each reader when it reaches it.
+*
+* @private
+*/
+class SharedSource {
+
+	/** Constructor
+	*
+	* @param iterator {Iterator} underlying iterator
+	* @param bufferSize {number} maximum number of items to buffer
+	* @param retain {boolean} if true, keep all items rather than discarding those which every reader has read
+	*/
+	constructor(iterator, bufferSize, retain) {
+		this.iterator = iterator;
+		this.bufferSize = bufferSize;
+		this.retain = retain;
+		this.buffer = [];
+		this.offset = 0;
+		this.readers = new Set();
+		this.end = null;
+	}
+
+	/** Create a new reader.
+	*
+	* @param [position] {number} position of the first item to read - defaults to the next item not yet read by any reader
+	* @returns {SharedStream} a new reader
+	*/
+	subscribe(position = this.offset + this.buffer.length) {
+		let reader = new SharedStream(this, position);
+		this.readers.add(reader);
+		return reader;
+	}
+
+	/** Read the next item for a reader, advancing the reader's position */
+	read(reader) {
+		let index = reader.position - this.offset;
+		if (index < this.buffer.length) {
+			reader.position++;
+			let value = this.buffer[index];
+			this._trim();
+			return { done: false, value };
+		}
+		if (this.end) {
+			if (this.end.error) throw this.end.error;
+			return { done: true };
+		}
+		if (this.buffer.length >= this.bufferSize) throw new BufferOverflowError(this.bufferSize);
+		let result;
+		try {
+			result = this.iterator.next();
+		} catch (error) {
+			this.end = { error };
+			throw error;
+		}
+		if (result.done) this.end = {}; else this.buffer.push(result.value);
+		return this.read(reader);
+	}
+
+	/** Remove a reader, closing the underlying iterator if there are no readers left */
+	unsubscribe(reader) {
+		this.readers.delete(reader);
+		this._trim();
+		if (this.readers.size === 0 && !this.end) {
+			this.end = {};
+			closeIterator(this.iterator);
+		}
+	}
+
+	/** Discard items which every reader has read */
+	_trim() {
+		if (this.retain) return;
+		let slowest = this.offset + this.buffer.length;
+		for (let reader of this.readers) slowest = Math.min(slowest, reader.position);
+		this.buffer.splice(0, slowest - this.offset);
+		this.offset = slowest;
+	}
+}
+
+/** Stream which reads items from a shared source.
+*
+* @private
+*/
+class SharedStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param source {SharedSource} source of items
+	* @param position {number} position of the first item to read
+	*/
+	constructor(source, position) {
+		super();
+		this.source = source;
+		this.position = position;
+		this.closed = false;
+	}
+
+	/** Get the next item from the shared source */
+	next() {
+		if (this.closed) return { done: true };
+		let result;
+		try {
+			result = this.source.read(this);
+		} catch (error) {
+			if (!(error instanceof BufferOverflowError)) this.return();
+			throw error;
+		}
+		if (result.done) this.return();
+		return result;
+	}
+
+	/** Stop reading from the shared source */
+	return(value) {
+		if (!this.closed) {
+			this.closed = true;
+			this.source.unsubscribe(this);
+		}
+		return { done: true, value };
+	}
+}
+
+/** Stream which reads all its items from a cache, starting again each time it is exhausted or closed.
+*
+* @private
+*/
+class CachedStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param source {SharedSource} source which retains every item
+	*/
+	constructor(source) {
+		super();
+		this.source = source;
+		this.reader = source.subscribe(0);
+	}
+
+	/** Get the next item from the cache */
+	next() {
+		let result;
+		try {
+			result = this.reader.next();
+		} catch (error) {
+			this.return();
+			throw error;
+		}
+		if (result.done) this.return();
+		return result;
+	}
+
+	/** Rewind to the first item */
+	return(value) {
+		this.reader.return();
+		this.reader = this.source.subscribe(0);
+		return { done: true, value };
+	}
+}
+
+/** Iterator which merges several sorted iterators into a single sorted sequence.
+*
+* The iterator with the smallest current item is found using a heap. Where items from two iterators are equal, the
+* item from the iterator supplied first is returned first.
+*
+* @private
+*/
+class MergeIterator {
+
+	/** Constructor
+	*
+	* @param iterators {Iterator[]} sorted iterators to merge
+	* @param comparator {Comparator} function used to order items
+	*/
+	constructor(iterators, comparator) {
+		this.iterators = iterators;
+		this.heap = new Heap((a, b) => comparator(a.value, b.value) || a.index - b.index);
+		this.started = false;
+	}
+
+	/** Get the next item in sorted order, closing all the iterators if reading from any of them fails */
+	next() {
+		try {
+			if (!this.started) {
+				this.started = true;
+				this.iterators.forEach((iterator, index) => {
+					let { done, value } = iterator.next();
+					if (!done) this.heap.push({ value, index });
+				});
+			}
+			if (this.heap.size === 0) return { done: true };
+			let top = this.heap.peek();
+			let { done, value } = this.iterators[top.index].next();
+			if (done) this.heap.pop(); else this.heap.replace({ value, index: top.index });
+			return { done: false, value: top.value };
+		} catch (error) {
+			this.return();
+			throw error;
+		}
+	}
+
+	/** Close all the iterators */
+	return(value) {
+		this.started = true;
+		this.heap = new Heap(this.heap.comparator);
+		this.iterators.forEach(iterator => closeIterator(iterator));
+		return { done: true, value };
+	}
+}
+
+/** Iterator which aligns the groups of items with the same key from two sorted streams.
+*
+* Each input is a stream of [key, items] entries in key order. Each call to next returns [lefts, rights], where
+* lefts and rights are the items with the next smallest key from each input, or undefined if an input has no such key.
+*
+* @private
+*/
+class MergeJoinIterator {
+
+	/** Constructor
+	*
+	* @param lefts {Iterator<Entry>} sorted groups from the left input
+	* @param rights {Iterator<Entry>} sorted groups from the right input
+	* @param comparator {Comparator} function by which keys are ordered
+	*/
+	constructor(lefts, rights, comparator) {
+		this.lefts = lefts;
+		this.rights = rights;
+		this.comparator = comparator;
+		this.left = null;
+		this.right = null;
+	}
+
+	/** Get the next pair of groups */
+	next() {
+		if (!this.left) this.left = this.lefts.next();
+		if (!this.right) this.right = this.rights.next();
+		let left = this.left;
+		let right = this.right;
+		if (left.done && right.done) return { done: true };
+		let order = left.done ? 1 : right.done ? -1 : this.comparator(left.value[0], right.value[0]);
+		if (order <= 0) this.left = null;
+		if (order >= 0) this.right = null;
+		return { done: false, value: [ order <= 0 ? left.value[1] : undefined, order >= 0 ? right.value[1] : undefined ] };
+	}
+
+	/** Close both inputs */
+	return(value) {
+		this.left = this.right = { done: true };
+		closeIterator(this.lefts);
+		closeIterator(this.rights);
+		return { done: true, value };
+	}
+}
+
+/** Iterator that returns tuples made up of one item from each of several iterators.
+*
+* @private
+*/
+class ZipIterator {
+
+	/** Constructor
+	*
+	* @param iterators {Iterator[]} iterators supplying values
+	* @param longest {boolean} if true, continue until all iterators are done; otherwise stop when any iterator is done
+	* @param [fill] value to use in place of items from iterators which are done
+	*/
+	constructor(iterators, longest, fill) {
+		this.iterators = iterators;
+		this.longest = longest;
+		this.fill = fill;
+		this.finished = iterators.map(() => false);
+		this.closed = false;
+	}
+
+	/** Get the next tuple */
+	next() {
+		if (this.closed) return { done: true };
+		let values = [];
+		try {
+			for (let i = 0; i < this.iterators.length; i++) {
+				let current = this.finished[i] ? { done: true } : this.iterators[i].next();
+				if (current.done) {
+					this.finished[i] = true;
+					if (!this.longest) return this.return();
+					values.push(this.fill);
+				} else {
+					values.push(current.value);
+				}
+			}
+		} catch (err) {
+			this.return();
+			throw err;
+		}
+		if (this.finished.every(finished => finished)) {
+			this.closed = true;
+			return { done: true };
+		}
+		return { done: false, value: values };
+	}
+
+	/** Close all the iterators which are not yet done */
+	return(value) {
+		if (!this.closed) {
+			this.closed = true;
+			this.iterators.forEach((iterator, i) => { if (!this.finished[i]) closeIterator(iterator); });
+		}
+		return { done: true, value };
+	}
+}
+
+/** Stream that switches to a fallback stream if the underlying iterator throws an error.
+*
+* @private
+*/
+class CatchingStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param handler function that returns a fallback iterable given an error
+	*/
+	constructor(iterator, handler) {
+		super();
+		this.iterator = iterator;
+		this.handler = handler;
+		this.recovered = false;
+	}
+
+	/** Get the next item in the stream, switching to the fallback stream if an error is thrown */
+	next() {
+		if (this.recovered) return this.iterator.next();
+		try {
+			return this.iterator.next();
+		} catch (err) {
+			return this._recover(err);
+		}
+	}
+
+	/** Close the stream and the current underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the current underlying iterator */
+	throw(error) {
+		return throwIterator(this.iterator, error);
+	}
+
+	_recover(err) {
+		closeIterator(this.iterator);
+		let fallback = this.handler(err);
+		this.iterator = fallback === undefined || fallback === null ? Stream.EMPTY : Stream.from(fallback);
+		this.recovered = true;
+		return this.iterator.next();
+	}
+}
+
+/** Stream that skips over errors thrown by the underlying iterator.
+*
+* @private
+*/
+class SkipErrorsStream extends BaseStream {
+
+	/** Constructor
+	*
+	* @param iterator stream or iterator that supplies values
+	* @param onError function called with each error
+	* @param maxConsecutiveErrors number of consecutive errors after which to give up
+	*/
+	constructor(iterator, onError, maxConsecutiveErrors) {
+		super();
+		this.iterator = iterator;
+		this.onError = onError;
+		this.maxConsecutiveErrors = maxConsecutiveErrors;
+		this.errors = 0;
+	}
+
+	/** Get the next item that can be retrieved from the underlying iterator without error */
+	next() {
+		for (let consecutive = 1;; consecutive++) {
+			try {
+				return this.iterator.next();
+			} catch (err) {
+				try {
+					this.onError(err, ++this.errors);
+					if (consecutive >= this.maxConsecutiveErrors) throw err;
+				} catch (failure) {
+					closeIterator(this.iterator);
+					throw failure;
+				}
+			}
+		}
+	}
+
+	/** Close the stream and the underlying iterator */
+	return(value) {
+		return closeIterator(this.iterator, value);
+	}
+
+	/** Signal an error to the underlying iterator */
+	throw(error) {
+		return throwIterator(this.iterator, error);
 	}
 }
 
@@ -0,0 +1,117 @@
+'use strict';
+
+const { StringDecoder } = require('string_decoder');
+const AsyncStream = require('./asyncstream');
+const { CsvParser, formatCsvRow } = require('./csv');
+
+/** Decode a stream of text chunks.
+*
+* Buffers are decoded with a StringDecoder, so that multi-byte characters split between chunks are decoded correctly.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of strings, Buffers or Uint8Arrays
+* @param encoding {string} encoding of any binary chunks
+* @returns {BaseAsyncStream<string>} a stream of strings
+*/
+function decodeText(stream, encoding) {
+	let decoder = new StringDecoder(encoding);
+	return stream
+		.map(chunk => typeof chunk === 'string' ? chunk : decoder.write(chunk))
+		.concat(AsyncStream.of(null).map(() => decoder.end()));
+}
+
+/** Parse a stream of text chunks as comma separated values.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of strings, Buffers or Uint8Arrays
+* @param options {Object} options, as described in {@link BaseAsyncStream#csv}
+* @returns {BaseAsyncStream<Array|Object>} a stream of records
+*/
+function csv(stream, { header = false, delimiter = ',', encoding = 'utf8' } = {}) {
+	let parser = new CsvParser(delimiter);
+	let rows = decodeText(stream, encoding)
+		.map(text => parser.push(text))
+		.concat(AsyncStream.of(null).map(() => parser.end()))
+		.flatten();
+	if (!header) return rows;
+	let names = Array.isArray(header) ? header : null;
+	return rows
+		.filter(row => {
+			if (names) return true;
+			names = row;
+			return false;
+		})
+		.map(row => names.reduce((record, name, index) => { record[name] = row[index]; return record; }, {}));
+}
+
+/** Split a stream of text chunks into lines.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of strings, Buffers or Uint8Arrays
+* @param options {Object} options, as described in {@link BaseAsyncStream#lines}
+* @returns {BaseAsyncStream<string>} a stream of lines
+*/
+function lines(stream, { encoding = 'utf8' } = {}) {
+	let partial = '';
+	return decodeText(stream, encoding)
+		.map(text => {
+			let lines = (partial + text).split('\n');
+			partial = lines.pop();
+			return lines;
+		})
+		.concat(AsyncStream.of(null).map(() => partial ? [ partial ] : []))
+		.flatten()
+		.map(line => line.endsWith('\r') ? line.slice(0, -1) : line);
+}
+
+/** Parse a stream of text chunks as newline-delimited JSON.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of strings, Buffers or Uint8Arrays
+* @param options {Object} options, as described in {@link BaseAsyncStream#ndjson}
+* @returns {BaseAsyncStream} a stream of parsed values
+*/
+function ndjson(stream, options) {
+	return lines(stream, options)
+		.map((line, index) => [ line, index + 1 ])
+		.filter(([ line ]) => line.trim())
+		.map(([ line, number ]) => {
+			try {
+				return JSON.parse(line);
+			} catch (error) {
+				throw new SyntaxError(`Invalid JSON at line ${number}: ${error.message}`);
+			}
+		});
+}
+
+/** Format a stream of items as comma separated values.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of arrays or objects
+* @param options {Object} options, as described in {@link BaseAsyncStream#toCsv}
+* @returns {BaseAsyncStream<string>} a stream of lines, each terminated with CRLF
+*/
+function toCsv(stream, { header = false, delimiter = ',' } = {}) {
+	let names = Array.isArray(header) ? header : null;
+	let started = false;
+	return stream.map(item => {
+		if (!Array.isArray(item) && !names) names = Object.keys(item);
+		let values = Array.isArray(item) ? item : names.map(name => item[name]);
+		let line = formatCsvRow(values, delimiter);
+		if (started || !header || !names) return line;
+		started = true;
+		return formatCsvRow(names, delimiter) + line;
+	});
+}
+
+/** Format a stream of items as newline-delimited JSON.
+*
+* @private
+* @param stream {BaseAsyncStream} stream of items
+* @returns {BaseAsyncStream<string>} a stream of lines of JSON, each terminated with LF
+*/
+function toNdjson(stream) {
+	return stream.map(item => JSON.stringify(item) + '\n');
+}
+
+module.exports = { csv, lines, ndjson, toCsv, toNdjson };
@@ -1,7 +1,13 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
 const chai = require('chai');
 const promises = require('chai-as-promised');
 const expect = chai.expect;
-const { AsyncStream } = require('../src');
+const { AsyncStream, comparators, ManualClock, RateLimiter, AbortError, BufferOverflowError, TimeoutError } = require('../src');
+const { by, descending, natural } = comparators;
 const Stream = require('../src/stream');
 
 chai.use(promises);
@@ -19,6 +25,10 @@ function delayed_iterable(iterable) {
 	};
 }
 
+function later(value, ms = 5) {
+	return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
 const TEST_DATA = delayed_iterable([ 1, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89 ]);
 const TEST_MAP1 = delayed_iterable([ [ 'foo', 'bar' ], [ 'dinkum', 'thinkum'], ['wyoming','knot'], ['dick','seaton'] ]);
 const TEST_MAP2 = delayed_iterable([ { name: 'peter', grade: 'A'}, { name: 'paul', grade: 'B'}, { name: 'jonathan', grade: 'D'} ]);
@@ -249,9 +259,1317 @@ describe('Async Stream', () => {
 		return expect(stream.toArray()).to.eventually.deep.equal(TEST_ARR1);
 	});
 
+	it('flattens over empty inner iterables, reading nothing until asked', ()=>{
+		let read = [];
+		let stream = AsyncStream.of([], [1], [], [], [2, 3], []).flatten(inner => { read.push(inner); return AsyncStream.from(inner); });
+		return later(null)
+			.then(() => expect(read).to.be.empty)
+			.then(() => expect(stream.toArray()).to.eventually.deep.equal([1, 2, 3]))
+			.then(() => expect(read).to.have.length(6))
+			.then(() => expect(AsyncStream.of([], []).flatten().toArray()).to.eventually.deep.equal([]));
+	});
+
+	it('fails to flatten items which are not iterable', ()=>{
+		return Promise.all([
+			expect(AsyncStream.of([1], 2, [3]).flatten().toArray()).to.be.rejectedWith(TypeError, 'not iterable'),
+			expect(AsyncStream.of([1], [2]).flatten(() => undefined).toArray()).to.be.rejectedWith(TypeError, 'not iterable')
+		]);
+	});
+
 	it('converts entries to values', ()=>{
 		let stream = AsyncStream.from(TEST_MAP1);
 		return expect(stream.toValues()).to.eventually.deep.equal(TEST_MAP1.iterable.map(([k,v])=>v));		
 	});
 
-});
\ No newline at end of file
+	it('supports the async iteration protocol', ()=>{
+		let stream = AsyncStream.from(TEST_DATA).filter(e=>e>10).map(e=>e*10);
+		let result = [];
+		let iterate = async () => { for await (let item of stream) result.push(item); return result; };
+		return expect(iterate()).to.eventually.deep.equal(TEST_DATA.iterable.filter(e=>e>10).map(e=>e*10));
+	});
+
+	it('builds a stream from an async generator', ()=>{
+		async function* generate() { for (let item of TEST_DATA.iterable) yield item; }
+		return expect(AsyncStream.from(generate()).map(e=>e*10).toArray())
+			.to.eventually.deep.equal(TEST_DATA.iterable.map(e=>e*10));
+	});
+
+	it('awaits promises of items in a sync iterable', ()=>{
+		return Promise.all([
+			expect(AsyncStream.from([Promise.resolve(1), 2, later(3)]).toArray()).to.eventually.deep.equal([1, 2, 3]),
+			expect(AsyncStream.from([1, Promise.reject(new Error('bad item'))]).toArray()).to.be.rejectedWith('bad item')
+		]);
+	});
+
+	it('builds a stream from an async iterable', ()=>{
+		let source = { [Symbol.asyncIterator]: () => AsyncStream.from(TEST_MAP1) };
+		return expect(AsyncStream.from(source).flatten().toArray()).to.eventually.deep.equal(TEST_ARR1);
+	});
+
+	it('closes the source when a terminal operation stops early', ()=>{
+		let closed = 0;
+		async function* generate() { try { yield* TEST_DATA.iterable; } finally { closed++; } }
+		return Promise.all([
+			expect(AsyncStream.from(generate()).map(e=>e*10).filter(e=>e>10).find(e => e === 130)).to.eventually.equal(130),
+			expect(AsyncStream.from(generate()).some(e => e === 13)).to.eventually.be.true,
+			expect(AsyncStream.from(generate()).every(e => e < 10)).to.eventually.be.false,
+			expect(AsyncStream.from(generate()).includes(13)).to.eventually.be.true
+		]).then(() => expect(closed).to.equal(4));
+	});
+
+	it('propagates return through concatenated and flattened streams', ()=>{
+		let closed = [];
+		async function* generate(name, items) { try { yield* items; } finally { closed.push(name); } }
+		return expect(
+			AsyncStream.from(generate('a', TEST_DATA.iterable))
+				.concat(AsyncStream.from(generate('b', TEST_DATA.iterable)))
+				.findIndex(e => e === 13)
+				.then(index => AsyncStream.from(generate('outer', TEST_MAP1.iterable))
+					.flatten(item=>AsyncStream.from(generate('inner', item)))
+					.find(e => e === 'thinkum')
+					.then(found => [index, found, closed])))
+			.to.eventually.deep.equal([6, 'thinkum', ['a', 'inner', 'inner', 'outer']]);
+	});
+
+	it('propagates throw to the source', ()=>{
+		async function* generate() { 
+			try { yield 1; yield 2; } catch (err) { yield err.message; }
+		}
+		let stream = AsyncStream.from(generate()).map(e=>'mapped ' + e);
+		return Promise.all([
+			expect(stream.next()
+				.then(() => stream.throw(new Error('oops')))
+				.then(({value}) => stream.next().then(({done}) => [value, done])))
+			.to.eventually.deep.equal(['mapped oops', true]),
+			expect(AsyncStream.from(TEST_DATA).filter(e=>e>10).throw(new Error('oops'))).to.be.rejectedWith('oops')
+		]);
+	});
+
+	it('calls onClose exactly once', ()=>{
+		let closed = 0;
+		let stream = AsyncStream.from(TEST_DATA).onClose(() => closed++).map(e=>e*10);
+		return expect(stream.toArray()
+			.then(() => stream.next())
+			.then(() => AsyncStream.from(TEST_DATA).onClose(() => closed++).find(e => e === 13))
+			.then(() => AsyncStream.from(TEST_DATA).onClose(() => closed++).forEach(() => { throw new Error('oops'); }))
+			.catch(err => [err.message, closed]))
+		.to.eventually.deep.equal(['oops', 3]);
+	});
+
+	it('waits for an asynchronous onClose callback', ()=>{
+		let closed = false;
+		let callback = () => new Promise(resolve => setTimeout(() => { closed = true; resolve(); }, 20));
+		return expect(AsyncStream.from(TEST_DATA).onClose(callback).some(e => e === 13).then(() => closed))
+			.to.eventually.be.true;
+	});
+
+	it('slices infinite streams', ()=>{
+		let closed = false;
+		async function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		return Promise.all([
+			expect(AsyncStream.from(naturals()).slice(5,10).toArray().then(result => [result, closed]))
+				.to.eventually.deep.equal([[5,6,7,8,9], true]),
+			expect(AsyncStream.from(TEST_DATA).slice(6,2).toArray()).to.eventually.deep.equal([])
+		]);
+	});
+
+	it('supports take and drop', ()=>{
+		async function* naturals() { for (let i = 0;; i++) yield i; }
+		return Promise.all([
+			expect(AsyncStream.from(naturals()).drop(3).take(4).toArray()).to.eventually.deep.equal([3,4,5,6]),
+			expect(AsyncStream.from(TEST_DATA).take(100).toArray()).to.eventually.deep.equal(TEST_DATA.iterable),
+			expect(AsyncStream.from(TEST_DATA).drop(100).toArray()).to.eventually.deep.equal([])
+		]);
+	});
+
+	it('supports takeWhile and dropWhile', ()=>{
+		let closed = false;
+		async function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		return Promise.all([
+			expect(AsyncStream.from(naturals()).dropWhile(e => e < 3).takeWhile(e => e < 7).toArray().then(result => [result, closed]))
+				.to.eventually.deep.equal([[3,4,5,6], true]),
+			expect(AsyncStream.from(TEST_DATA).dropWhile(e => e < 10).toArray()).to.eventually.deep.equal([13, 21, 34, 55, 89])
+		]);
+	});
+
+	it('waits for promises returned by mappers and predicates', ()=>{
+		let data = TEST_DATA.iterable;
+		return Promise.all([
+			expect(AsyncStream.from(data).map(e => later(e*10, 50 - e/2)).toArray())
+				.to.eventually.deep.equal(data.map(e=>e*10)),
+			expect(AsyncStream.from(data).filter(e => later(e > 10)).toArray())
+				.to.eventually.deep.equal(data.filter(e=>e>10)),
+			expect(AsyncStream.from(data).find(e => later(e === 13))).to.eventually.equal(13),
+			expect(AsyncStream.from(data).findIndex(e => later(e === 13))).to.eventually.equal(6),
+			expect(AsyncStream.from(data).some(e => later(e === 13))).to.eventually.be.true,
+			expect(AsyncStream.from(data).every(e => later(e < 50))).to.eventually.be.false,
+			expect(AsyncStream.from(data).takeWhile(e => later(e < 10)).toArray()).to.eventually.deep.equal([1,1,2,3,5,8]),
+			expect(AsyncStream.from(data).dropWhile(e => later(e < 50)).toArray()).to.eventually.deep.equal([55,89]),
+			expect(AsyncStream.from(data).reduce((v,e) => later(v+e), 0)).to.eventually.equal(data.reduce((v,e)=>v+e, 0)),
+			expect(AsyncStream.from(TEST_MAP2).toMap(item=>later(item.name), item=>later(item.grade)).then(map=>Array.from(map.entries())))
+				.to.eventually.deep.equal(TEST_MAP2.iterable.map(({name,grade})=>[name,grade])),
+			expect(AsyncStream.from(TEST_MAP1).flatten(item => later(AsyncStream.from(item))).toArray()).to.eventually.deep.equal(TEST_ARR1)
+		]);
+	});
+
+	it('forEach numbers items from 1, unlike the sync stream', ()=>{
+		let indices = [];
+		Stream.of('a', 'b', 'c').forEach((e, i) => indices.push(i));
+		return AsyncStream.of('a', 'b', 'c').forEach((e, i) => indices.push(i))
+			.then(() => expect(indices).to.deep.equal([0, 1, 2, 1, 2, 3]));
+	});
+
+	it('forEach waits for each callback in turn', ()=>{
+		let log = [];
+		let callback = (e, i) => { log.push('start ' + i); return later(null, 10 - i).then(() => log.push('end ' + i)); };
+		return expect(AsyncStream.of('a','b','c').forEach(callback).then(() => log))
+			.to.eventually.deep.equal(['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+	});
+
+	it('rejects if a callback promise is rejected', ()=>{
+		let closed = false;
+		let failing = e => e === 13 ? Promise.reject(new Error('oops')) : later(e);
+		return Promise.all([
+			expect(AsyncStream.from(TEST_DATA).onClose(() => closed = true).map(failing).toArray()).to.be.rejectedWith('oops')
+				.then(() => expect(closed).to.be.true),
+			expect(AsyncStream.from(TEST_DATA).filter(failing).toArray()).to.be.rejectedWith('oops'),
+			expect(AsyncStream.from(TEST_DATA).forEach(failing)).to.be.rejectedWith('oops')
+		]);
+	});
+
+	it('maps concurrently, preserving order', ()=>{
+		let running = 0, max_running = 0;
+		let mapper = (e, i) => { 
+			max_running = Math.max(max_running, ++running);
+			return later(e*10, 30 - i*2).then(value => { running--; return value; }); 
+		};
+		return expect(AsyncStream.from(TEST_DATA.iterable).mapConcurrent(mapper, { concurrency: 3 }).toArray().then(result => [result, max_running]))
+			.to.eventually.deep.equal([TEST_DATA.iterable.map(e=>e*10), 3]);
+	});
+
+	it('maps concurrently, unordered', ()=>{
+		let clock = new ManualClock();
+		let delays = { a: 80, b: 10, c: 25, d: 5 };
+		let mapper = e => new Promise(resolve => clock.setTimeout(() => resolve(e.toUpperCase()), delays[e]));
+		let result = AsyncStream.of('a','b','c','d').mapConcurrent(mapper, { concurrency: 2, ordered: false }).toArray();
+		return clock.advance(100).then(() => expect(result).to.eventually.deep.equal(['B', 'C', 'D', 'A']));
+	});
+
+	it('stops mapping concurrently when the stream is closed', ()=>{
+		let closed = false, calls = 0;
+		async function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		let mapper = e => { calls++; return later(e); };
+		return Promise.all([
+			expect(AsyncStream.from(naturals()).mapConcurrent(mapper, { concurrency: 4 }).find(e => e === 5).then(found => [found, closed]))
+				.to.eventually.deep.equal([5, true]),
+			expect(AsyncStream.from(naturals()).mapConcurrent(mapper, { concurrency: 4, ordered: false }).slice(0, 3).toArray().then(result => result.length))
+				.to.eventually.equal(3)
+		]).then(() => expect(calls).to.be.lessThan(20));
+	});
+
+	it('rejects if a concurrent mapper rejects', ()=>{
+		let mapper = e => e === 13 ? Promise.reject(new Error('oops')) : later(e);
+		return Promise.all([
+			expect(AsyncStream.from(TEST_DATA.iterable).mapConcurrent(mapper, { concurrency: 3 }).toArray()).to.be.rejectedWith('oops'),
+			expect(AsyncStream.from(TEST_DATA.iterable).mapConcurrent(mapper, { concurrency: 3, ordered: false }).toArray()).to.be.rejectedWith('oops'),
+			expect(() => AsyncStream.of(1).mapConcurrent(mapper, {})).to.throw(RangeError)
+		]);
+	});
+
+	it('supports forEachConcurrent', ()=>{
+		let running = 0, max_running = 0, visited = [];
+		let callback = e => { 
+			max_running = Math.max(max_running, ++running);
+			return later(e, 10).then(() => { running--; visited.push(e); }); 
+		};
+		return expect(AsyncStream.from(TEST_DATA.iterable).forEachConcurrent(callback, { concurrency: 4 }).then(() => [visited.sort((a,b)=>a-b), max_running]))
+			.to.eventually.deep.equal([TEST_DATA.iterable, 4]);
+	});
+
+	it('recovers from errors with catchError', ()=>{
+		let closed = false;
+		async function* generate() { try { yield* TEST_DATA.iterable; } finally { closed = true; } }
+		let parse = e => e > 5 ? Promise.reject(new Error('bad ' + e)) : later(e);
+		return Promise.all([
+			expect(AsyncStream.from(generate()).map(parse).catchError(err => later([err.message])).toArray().then(result => [result, closed]))
+				.to.eventually.deep.equal([[1,1,2,3,5,'bad 8'], true]),
+			expect(AsyncStream.from(TEST_DATA).map(parse).catchError(() => undefined).toArray()).to.eventually.deep.equal([1,1,2,3,5]),
+			expect(AsyncStream.from(TEST_DATA).map(parse).catchError(() => AsyncStream.of(10).map(parse)).toArray()).to.be.rejectedWith('bad 10')
+		]);
+	});
+
+	it('skips errors with skipErrors', ()=>{
+		let errors = [];
+		let parse = e => e % 2 === 0 ? Promise.reject(new Error('bad ' + e)) : e;
+		return Promise.all([
+			expect(AsyncStream.from(TEST_DATA).map(parse).skipErrors((err, count) => errors.push([err.message, count])).toArray().then(result => [result, errors]))
+				.to.eventually.deep.equal([TEST_DATA.iterable.filter(e => e % 2 !== 0), [['bad 2', 1], ['bad 8', 2], ['bad 34', 3]]]),
+			expect(AsyncStream.from(TEST_DATA).map(parse).skipErrors(err => { throw err; }).toArray()).to.be.rejectedWith('bad 2')
+		]);
+	});
+
+	it('gives up skipping errors after too many in a row', ()=>{
+		let closed = false, calls = 0;
+		let broken = { [Symbol.asyncIterator]: () => ({
+			next: () => Promise.reject(new Error('broken ' + ++calls)),
+			return: () => { closed = true; return Promise.resolve({ done: true }); }
+		}) };
+		let errors = [];
+		return expect(AsyncStream.from(broken).skipErrors(err => errors.push(err.message), { maxConsecutiveErrors: 5 }).toArray()).to.be.rejectedWith('broken 5')
+			.then(() => expect([errors.length, errors[4], closed]).to.deep.equal([5, 'broken 5', true]))
+			.then(() => { closed = false; })
+			.then(() => expect(AsyncStream.from(broken).skipErrors(() => Promise.reject(new Error('give up'))).next()).to.be.rejectedWith('give up'))
+			.then(() => expect(closed).to.be.true);
+	});
+
+	it('re-creates a failing source with retry', ()=>{
+		let created = 0, delays = [];
+		let factory = () => {
+			let failAt = [3, 7, 7][created++];
+			async function* generate() {
+				for (let [i, item] of TEST_DATA.iterable.entries()) {
+					if (i === failAt) throw new Error('failed at ' + i);
+					yield item;
+				}
+			}
+			return generate();
+		};
+		let backoff = attempt => { delays.push(attempt); return attempt * 5; };
+		return Promise.all([
+			expect(AsyncStream.retry(factory, { attempts: 3, backoff }).toArray().then(result => [result, created, delays]))
+				.to.eventually.deep.equal([TEST_DATA.iterable, 4, [1, 1, 2]]),
+			expect(AsyncStream.retry(() => AsyncStream.of(1, 2).map(() => Promise.reject(new Error('oops'))), { attempts: 2 }).toArray())
+				.to.be.rejectedWith('oops')
+		]);
+	});
+
+	it('waits out the retry backoff on the supplied clock', ()=>{
+		let clock = new ManualClock();
+		let created = 0;
+		let factory = () => created++ === 0 ? AsyncStream.of(1, 2).map(e => e === 2 ? Promise.reject(new Error('oops')) : e) : [1, 2, 3];
+		let result = AsyncStream.retry(factory, { backoff: 1000, clock }).toArray();
+		return later(null)
+			.then(() => {
+				expect(created).to.equal(1);
+				expect(clock.timers.map(timer => timer.at)).to.deep.equal([1000]);
+				return clock.advance(1000);
+			})
+			.then(() => expect(result).to.eventually.deep.equal([1, 2, 3]))
+			.then(() => expect(created).to.equal(2));
+	});
+
+	it('zips streams together', ()=>{
+		let closed = false;
+		async function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		return Promise.all([
+			expect(AsyncStream.zip(naturals(), TEST_ARR1, AsyncStream.from(TEST_DATA).map(e=>e*10)).toArray().then(result => [result.slice(0,3), result.length, closed]))
+				.to.eventually.deep.equal([[[0,'foo',10],[1,'bar',10],[2,'dinkum',20]], 8, true]),
+			expect(AsyncStream.zip().toArray()).to.eventually.deep.equal([])
+		]);
+	});
+
+	it('zips streams together until the longest ends', ()=>{
+		return expect(AsyncStream.zipLongest('-', TEST_MAP1, AsyncStream.of('a'), []).toArray())
+			.to.eventually.deep.equal(TEST_MAP1.iterable.map((e,i)=>[e, i === 0 ? 'a' : '-', '-']));
+	});
+
+	it('zips a stream with another using a combiner', ()=>{
+		return expect(AsyncStream.from(TEST_DATA).zipWith(TEST_DATA.iterable.slice(1), (a,b)=>later(a+b)).toArray())
+			.to.eventually.deep.equal(TEST_DATA.iterable.slice(2).concat([144]));
+	});
+
+	it('closes zipped streams if one of them fails', ()=>{
+		let closed = false;
+		async function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		return expect(AsyncStream.zip(naturals(), AsyncStream.of(1, 2).map(e => e === 2 ? Promise.reject(new Error('oops')) : e)).toArray())
+			.to.be.rejectedWith('oops')
+			.then(() => expect(closed).to.be.true);
+	});
+
+	it('groups items into chunks', ()=>{
+		return Promise.all([
+			expect(AsyncStream.from(TEST_DATA).chunk(4).toArray()).to.eventually.deep.equal([[1,1,2,3],[5,8,13,21],[34,55,89]]),
+			expect(AsyncStream.EMPTY.chunk(2).toArray()).to.eventually.deep.equal([])
+		]);
+	});
+
+	it('creates sliding windows', ()=>{
+		return Promise.all([
+			expect(AsyncStream.of(1,2,3,4,5).window(3).toArray()).to.eventually.deep.equal([[1,2,3],[2,3,4],[3,4,5]]),
+			expect(AsyncStream.of(1,2,3,4,5,6,7,8).window(2,3).toArray()).to.eventually.deep.equal([[1,2],[4,5],[7,8]]),
+			expect(AsyncStream.of(1,2).window(3).toArray()).to.eventually.deep.equal([]),
+			expect(AsyncStream.from(TEST_DATA).pairwise().toArray()).to.eventually.deep.equal(TEST_DATA.iterable.slice(1).map((e,i)=>[TEST_DATA.iterable[i], e]))
+		]);
+	});
+
+	it('groups runs of items', ()=>{
+		return expect(AsyncStream.of(1,2,4,9,10,11,12,15,16,19,20,21).chunkWhile((a,b) => later(b === a + 1)).toArray())
+			.to.eventually.deep.equal([[1,2],[4],[9,10,11,12],[15,16],[19,20,21]]);
+	});
+
+	it('groups items by key', ()=>{
+		return Promise.all([
+			expect(AsyncStream.from(TEST_DATA).groupBy(e => later(e % 3)).then(groups => Array.from(groups)))
+				.to.eventually.deep.equal([1, 2, 0].map(k => [k, TEST_DATA.iterable.filter(e => e % 3 === k)])),
+			expect(AsyncStream.from(TEST_MAP2).groupBy(item => item.grade < 'C', { initial: () => '', reducer: (names, item) => later(names + item.name) }).then(groups => Array.from(groups)))
+				.to.eventually.deep.equal([[true, 'peterpaul'], [false, 'jonathan']])
+		]);
+	});
+
+	it('counts items by key', ()=>{
+		return expect(AsyncStream.from(TEST_DATA).countBy(e => e % 2 ? 'odd' : 'even').then(counts => Array.from(counts)))
+			.to.eventually.deep.equal([['odd', 8], ['even', 3]]);
+	});
+
+	it('partitions items', ()=>{
+		return expect(AsyncStream.from(TEST_DATA).partition(e => later(e > 10)))
+			.to.eventually.deep.equal([TEST_DATA.iterable.filter(e => e > 10), TEST_DATA.iterable.filter(e => e <= 10)]);
+	});
+
+	it('lazily groups adjacent items', ()=>{
+		let words = ['apple', 'avocado', 'banana', 'blueberry', 'cherry', 'apricot'];
+		let groups = AsyncStream.from(words).groupAdjacent(w => later(w[0]));
+		return Promise.all([
+			expect(AsyncStream.from(words).groupAdjacent(w => w[0]).map(([k, group]) => group.toArray().then(items => [k, items])).toArray())
+				.to.eventually.deep.equal([['a', ['apple', 'avocado']], ['b', ['banana', 'blueberry']], ['c', ['cherry']], ['a', ['apricot']]]),
+			expect(groups.next()
+				.then(({ value: [, first] }) => first.next()
+					.then(({ value }) => groups.next()
+						.then(({ value: [key, second] }) => first.next()
+							.then(({ done }) => second.toArray()
+								.then(items => [value, done, key, items]))))))
+				.to.eventually.deep.equal(['apple', true, 'b', ['banana', 'blueberry']])
+		]);
+	});
+
+	it('sorts streams', ()=>{
+		let shuffled = [ 34, 1, 89, 13, 2, 55, 1, 21, 5, 8, 3 ];
+		return Promise.all([
+			expect(AsyncStream.from(shuffled).sorted().toArray()).to.eventually.deep.equal(TEST_DATA.iterable),
+			expect(AsyncStream.from(TEST_MAP2).sorted(descending(by(item => item.name))).map(item => item.name).toArray())
+				.to.eventually.deep.equal(['peter', 'paul', 'jonathan'])
+		]);
+	});
+
+	it('stops a sorted stream when it is closed', ()=>{
+		let stream = AsyncStream.of(3, 1, 2).sorted();
+		return stream.next()
+			.then(result => expect(result).to.deep.equal({ done: false, value: 1 }))
+			.then(() => stream.return())
+			.then(() => expect(stream.next()).to.eventually.include({ done: true }));
+	});
+
+	it('finds the top and bottom k items', ()=>{
+		let shuffled = [ 34, 1, 89, 13, 2, 55, 1, 21, 5, 8, 3 ];
+		return Promise.all([
+			expect(AsyncStream.from(shuffled).topK(3)).to.eventually.deep.equal([89, 55, 34]),
+			expect(AsyncStream.from(shuffled).bottomK(4)).to.eventually.deep.equal([1, 1, 2, 3])
+		]);
+	});
+
+	it('throws for invalid arguments to operations which return a stream, and rejects for terminals', ()=>{
+		for (let operation of [ s => s.slice(-1), s => s.chunk(0), s => s.window(0), s => s.window(2, 0), s => s.prefetch(0), s => s.mapConcurrent(e => e, { concurrency: 0 }) ]) {
+			expect(() => operation(AsyncStream.from(TEST_DATA))).to.throw(RangeError);
+		}
+		let result;
+		expect(() => { result = AsyncStream.from(TEST_DATA).topK(-1); }).not.to.throw();
+		return Promise.all([
+			expect(result).to.be.rejectedWith(RangeError),
+			expect(AsyncStream.from(TEST_DATA).bottomK(-1)).to.be.rejectedWith(RangeError)
+		]);
+	});
+
+	it('finds the minimum and maximum items', ()=>{
+		return Promise.all([
+			expect(AsyncStream.from(TEST_DATA).min()).to.eventually.equal(1),
+			expect(AsyncStream.from(TEST_DATA).max()).to.eventually.equal(89),
+			expect(AsyncStream.EMPTY.max()).to.eventually.be.undefined,
+			expect(AsyncStream.from(TEST_MAP2).minBy(item => item.grade).then(item => item.name)).to.eventually.equal('peter'),
+			expect(AsyncStream.from(TEST_MAP2).maxBy(item => item.name).then(item => item.name)).to.eventually.equal('peter')
+		]);
+	});
+
+	describe('external sort', () => {
+
+		let tmpDir;
+		let shuffled = [];
+		for (let i = 0; i < 100; i++) shuffled.push((i * 37) % 100);
+		let expected = Array.from(shuffled).sort((a,b) => a-b);
+
+		beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iterator-plumbing-test-')); });
+		afterEach(() => { fs.rmdirSync(tmpDir); });
+
+		it('sorts a stream using temporary files', ()=>{
+			let spilled = false;
+			let stream = AsyncStream.from(shuffled).sortedExternal(undefined, { maxInMemory: 7, tmpDir });
+			return expect(stream.next()
+				.then(first => { spilled = fs.readdirSync(tmpDir).length > 0; return stream.toArray().then(rest => [first.value].concat(rest)); })
+				.then(result => [result, spilled, fs.readdirSync(tmpDir)]))
+				.to.eventually.deep.equal([expected, true, []]);
+		});
+
+		it('sorts stably with a custom comparator and serializer', ()=>{
+			let items = shuffled.map((n, i) => ({ n: n % 10, i }));
+			let serializer = { serialize: item => item.n + ':' + item.i, deserialize: line => { let [n, i] = line.split(':'); return { n: +n, i: +i }; } };
+			return expect(AsyncStream.from(items).sortedExternal(by(item => item.n), { maxInMemory: 9, tmpDir, serializer }).toArray())
+				.to.eventually.deep.equal(Array.from(items).sort((a,b) => a.n - b.n));
+		});
+
+		it('removes temporary files when the sorted stream is abandoned', ()=>{
+			return expect(AsyncStream.from(shuffled).sortedExternal(undefined, { maxInMemory: 10, tmpDir }).take(3).toArray()
+				.then(result => [result, fs.readdirSync(tmpDir)]))
+				.to.eventually.deep.equal([expected.slice(0, 3), []]);
+		});
+
+		it('removes temporary files when the source fails', ()=>{
+			let failing = AsyncStream.from(shuffled).map((e, i) => i === 50 ? Promise.reject(new Error('oops')) : e);
+			return expect(failing.sortedExternal(undefined, { maxInMemory: 10, tmpDir }).toArray()).to.be.rejectedWith('oops')
+				.then(() => expect(fs.readdirSync(tmpDir)).to.deep.equal([]));
+		});
+
+		it('removes temporary files when writing or reading a run fails', ()=>{
+			let failToWrite = { serialize: n => { if (n === 99) throw new Error('cannot write'); return String(n); }, deserialize: Number };
+			let failToRead = { serialize: String, deserialize: line => { if (line === '99') throw new Error('cannot read'); return +line; } };
+			let sort = serializer => AsyncStream.from(shuffled).sortedExternal(undefined, { maxInMemory: 10, tmpDir, serializer }).toArray();
+			return expect(sort(failToWrite)).to.be.rejectedWith('cannot write')
+				.then(() => expect(fs.readdirSync(tmpDir)).to.deep.equal([]))
+				.then(() => expect(sort(failToRead)).to.be.rejectedWith('cannot read'))
+				.then(() => expect(fs.readdirSync(tmpDir)).to.deep.equal([]));
+		});
+
+		it('stops reading the source when closed before the sort is complete', ()=>{
+			let read = 0;
+			let reachedSixteen;
+			let sixteen = new Promise(resolve => reachedSixteen = resolve);
+			let source = AsyncStream.from(shuffled).map(n => { if (++read === 16) reachedSixteen(); return later(n, 1); });
+			let sorted = source.sortedExternal(undefined, { maxInMemory: 10, tmpDir });
+			let first = sorted.next();
+			return expect(sixteen
+				.then(() => sorted.return())
+				.then(() => { let stopped = read; return later(stopped, 20); })
+				.then(stopped => Promise.all([ first.then(({ done }) => done), stopped, read, fs.readdirSync(tmpDir) ])))
+				.to.eventually.deep.equal([ true, 16, 16, [] ]);
+		});
+	});
+
+	it('merges sorted streams', ()=>{
+		let closed = false;
+		async function* multiples(n) { try { for (let i = n;; i += n) yield i; } finally { closed = true; } }
+		return Promise.all([
+			expect(AsyncStream.mergeSorted(natural, TEST_DATA, [2,3,10,11], AsyncStream.EMPTY).toArray())
+				.to.eventually.deep.equal(TEST_DATA.iterable.concat([2,3,10,11]).sort((a,b) => a-b)),
+			expect(AsyncStream.mergeSorted(natural, multiples(3), multiples(5)).take(6).toArray().then(result => [result, closed]))
+				.to.eventually.deep.equal([[3,5,6,9,10,12], true])
+		]);
+	});
+
+	it('closes every merged stream when one fails', ()=>{
+		let closed = false;
+		async function* multiples(n) { try { for (let i = n;; i += n) yield i; } finally { closed = true; } }
+		async function* failing() { yield 4; throw new Error('failed'); }
+		let merged = AsyncStream.mergeSorted(natural, multiples(3), failing());
+		return expect(merged.next().then(() => merged.next())).to.be.rejectedWith('failed')
+			.then(() => expect(closed).to.be.true);
+	});
+
+	it('merges sorted streams, dropping duplicates', ()=>{
+		return expect(AsyncStream.mergeSortedUnique(natural, TEST_DATA, [2,3,4,89]).toArray())
+			.to.eventually.deep.equal([1,2,3,4,5,8,13,21,34,55,89]);
+	});
+
+	it('joins streams', ()=>{
+		let orders = [ [1, 'pen'], [2, 'ink'], [2, 'pad'], [4, 'nib'] ];
+		let customers = [ [2, 'bob'], [3, 'sue'], [4, 'ann'], [4, 'jim'] ];
+		let name = (order, customer) => (order ? order[1] : '-') + ':' + (customer ? customer[1] : '-');
+		return Promise.all([ 'hash', 'merge' ].map(strategy => {
+			let options = { strategy, combiner: name };
+			return Promise.all([
+				expect(AsyncStream.from(orders).innerJoin(customers, options).toArray()).to.eventually.deep.equal(['ink:bob', 'pad:bob', 'nib:ann', 'nib:jim']),
+				expect(AsyncStream.from(orders).leftJoin(delayed_iterable(customers), options).toArray()).to.eventually.deep.equal(['pen:-', 'ink:bob', 'pad:bob', 'nib:ann', 'nib:jim']),
+				expect(AsyncStream.from(orders).fullOuterJoin(customers, options).toArray()).to.eventually.have.members(['pen:-', 'ink:bob', 'pad:bob', 'nib:ann', 'nib:jim', '-:sue']),
+				expect(AsyncStream.from(orders).semiJoin(customers, { strategy, key: order => later(order[0]) }).toArray()).to.eventually.deep.equal([ [2, 'ink'], [2, 'pad'], [4, 'nib'] ]),
+				expect(AsyncStream.from(orders).antiJoin(customers, { strategy }).toArray()).to.eventually.deep.equal([ [1, 'pen'] ])
+			]);
+		}));
+	});
+
+	it('merge joins many-to-many on composite keys', ()=>{
+		let lexical = (a, b) => natural(a[0], b[0]) || natural(a[1], b[1]);
+		let lefts = [ [1, 'x', 'a1'], [1, 'x', 'a2'], [2, 'y', 'a3'] ];
+		let rights = [ [1, 'x', 'b1'], [1, 'x', 'b2'], [2, 'z', 'b3'] ];
+		let options = { key: row => [row[0], row[1]], strategy: 'merge', comparator: lexical, combiner: (left, right) => left[2] + ':' + right[2] };
+		return expect(AsyncStream.from(lefts).innerJoin(delayed_iterable(rights), options).toArray()).to.eventually.deep.equal(['a1:b1', 'a1:b2', 'a2:b1', 'a2:b2']);
+	});
+
+	it('removes duplicate items', ()=>{
+		return Promise.all([
+			expect(AsyncStream.from(TEST_DATA).distinct().toArray()).to.eventually.deep.equal([1, 2, 3, 5, 8, 13, 21, 34, 55, 89]),
+			expect(AsyncStream.from(TEST_MAP2).distinct(item => later(item.grade < 'C')).map(item => item.name).toArray()).to.eventually.deep.equal(['peter', 'jonathan']),
+			expect(AsyncStream.of('a', 'b', 'a', 'c', 'c', 'a', 'b').distinct(e => e, { maxKeys: 2 }).toArray()).to.eventually.deep.equal(['a', 'b', 'c', 'b']),
+			expect(AsyncStream.of(1, 1, 2, 2, 2, 1, 3, 3).distinctUntilChanged().toArray()).to.eventually.deep.equal([1, 2, 1, 3])
+		]);
+	});
+
+	it('performs set operations on streams', ()=>{
+		return Promise.all([
+			expect(AsyncStream.of(1, 2, 2, 3).union(delayed_iterable([3, 4, 1, 5])).toArray()).to.eventually.deep.equal([1, 2, 3, 4, 5]),
+			expect(AsyncStream.from(TEST_DATA).intersect([1, 3, 4, 89]).toArray()).to.eventually.deep.equal([1, 3, 89]),
+			expect(AsyncStream.from(TEST_DATA).except(AsyncStream.of(1, 2, 3, 5, 8, 13), e => later(e)).toArray()).to.eventually.deep.equal([21, 34, 55, 89])
+		]);
+	});
+
+	it('closes the source when a set operation or join is closed before it is read', ()=>{
+		let closed = 0;
+		let source = () => AsyncStream.from({ [Symbol.asyncIterator]: () => ({
+			next: () => Promise.resolve({ done: false, value: [1] }),
+			return: () => { closed++; return Promise.resolve({ done: true }); }
+		}) });
+		let keys = [];
+		let key = e => { keys.push(e); return e[0]; };
+		return Promise.all([
+			source().except([[1]]).return(),
+			source().intersect([[1]]).return(),
+			source().innerJoin([[1]]).return(),
+			source().innerJoin([[1]], { strategy: 'merge' }).return()
+		])
+			.then(() => expect(closed).to.equal(4))
+			.then(() => expect(AsyncStream.of([1], [2]).intersect([[2]], key).toArray()).to.eventually.deep.equal([[2]]))
+			.then(() => expect(keys).to.have.length(3));
+	});
+
+	it('generates streams', ()=>{
+		return Promise.all([
+			expect(AsyncStream.range(5, 0, -2).toArray()).to.eventually.deep.equal([5, 3, 1]),
+			expect(AsyncStream.iterate(1, x => later(x * 3)).take(4).toArray()).to.eventually.deep.equal([1, 3, 9, 27]),
+			expect(AsyncStream.repeat(7, 2).toArray()).to.eventually.deep.equal([7, 7]),
+			expect(AsyncStream.generate(i => later(i * i)).take(4).toArray()).to.eventually.deep.equal([0, 1, 4, 9]),
+			expect(AsyncStream.unfold(3, n => later(n ? [n, n - 1] : undefined)).toArray()).to.eventually.deep.equal([3, 2, 1]),
+			expect(AsyncStream.cycle(TEST_MAP1).take(5).map(([k]) => k).toArray()).to.eventually.deep.equal(['foo', 'dinkum', 'wyoming', 'dick', 'foo']),
+			expect(AsyncStream.cycle(AsyncStream.EMPTY).toArray()).to.eventually.deep.equal([])
+		]);
+	});
+
+	it('generates a stream of numbers at intervals', ()=>{
+		let clock = new ManualClock();
+		let result = null;
+		AsyncStream.interval(20, { clock }).take(3).toArray().then(items => result = items);
+		return clock.advance(59)
+			.then(() => expect(result).to.be.null)
+			.then(() => clock.advance(1))
+			.then(() => expect(result).to.deep.equal([0, 1, 2]));
+	});
+
+	it('splits a stream with tee', ()=>{
+		let [ first, second ] = AsyncStream.from(TEST_DATA).tee();
+		return Promise.all([
+			expect(first.toArray()).to.eventually.deep.equal(TEST_DATA.iterable),
+			expect(second.toArray()).to.eventually.deep.equal(TEST_DATA.iterable)
+		]);
+	});
+
+	it('fails when a tee reader gets too far ahead', ()=>{
+		let [ fast, slow ] = AsyncStream.range(0, 10).tee(2, { bufferSize: 2 });
+		return fast.next()
+			.then(() => fast.next())
+			.then(() => expect(fast.next()).to.be.rejectedWith(BufferOverflowError))
+			.then(() => slow.next())
+			.then(() => expect(fast.next()).to.eventually.deep.equal({ done: false, value: 2 }));
+	});
+
+	it('shares a live stream between subscribers', ()=>{
+		let closed = false;
+		let shared = AsyncStream.interval(5).take(6).onClose(() => closed = true).share();
+		let early = shared.subscribe();
+		return early.next()
+			.then(() => early.next())
+			.then(() => Promise.all([ early.toArray(), shared.subscribe().toArray() ]))
+			.then(result => {
+				expect(result).to.deep.equal([[2, 3, 4, 5], [2, 3, 4, 5]]);
+				expect(closed).to.be.true;
+			});
+	});
+
+	it('caches a stream so it can be read again', ()=>{
+		let reads = 0;
+		let cached = AsyncStream.from(TEST_DATA).map(item => { reads++; return item; }).cache();
+		return expect(cached.toArray()).to.eventually.deep.equal(TEST_DATA.iterable)
+			.then(() => expect(cached.take(3).toArray()).to.eventually.deep.equal([1, 1, 2]))
+			.then(() => expect(cached.toArray()).to.eventually.deep.equal(TEST_DATA.iterable))
+			.then(() => expect(reads).to.equal(TEST_DATA.iterable.length));
+	});
+
+	it('closes a cached stream which is closed before it has been read', ()=>{
+		let closed = false;
+		async function* numbers() { try { yield* [0, 1, 2, 3, 4]; } finally { closed = true; } }
+		let cached = AsyncStream.from(numbers()).cache();
+		return expect(cached.take(2).toArray().then(result => [result, closed]))
+			.to.eventually.deep.equal([[0, 1], true])
+			.then(() => expect(cached.toArray()).to.eventually.deep.equal([0, 1]));
+	});
+
+	it('creates a stream from a push-based source', ()=>{
+		let emitter = new EventEmitter();
+		let torn_down = 0;
+		let stream = AsyncStream.create(({ push, end }) => {
+			emitter.on('data', push);
+			emitter.on('end', end);
+			return () => { torn_down++; emitter.removeAllListeners(); };
+		});
+		let result = stream.toArray();
+		return later().then(() => {
+			emitter.emit('data', 1);
+			emitter.emit('data', 2);
+			emitter.emit('end');
+			return result;
+		}).then(result => {
+			expect(result).to.deep.equal([1, 2]);
+			expect(torn_down).to.equal(1);
+			expect(emitter.listenerCount('data')).to.equal(0);
+		});
+	});
+
+	it('tears down a push-based source when the consumer stops early', ()=>{
+		let torn_down = 0;
+		let stream = AsyncStream.create(({ push }) => {
+			let count = 0;
+			let timer = setInterval(() => push(count++), 2);
+			return () => { torn_down++; clearInterval(timer); };
+		});
+		return stream.take(3).toArray().then(result => {
+			expect(result).to.deep.equal([0, 1, 2]);
+			expect(torn_down).to.equal(1);
+		});
+	});
+
+	it('applies overflow policies to a push-based source', ()=>{
+		let pushAll = ({ push, end }) => { for (let i = 0; i < 5; i++) push(i); end(); };
+		let accepted = [];
+		let blocking = ({ push, end }) => [0, 1, 2, 3]
+			.reduce((previous, i) => previous.then(() => push(i)).then(ok => accepted.push(ok)), Promise.resolve())
+			.then(end);
+		return Promise.all([
+			expect(AsyncStream.create(pushAll, { bufferSize: 2, overflow: 'drop-oldest' }).toArray()).to.eventually.deep.equal([0, 3, 4]),
+			expect(AsyncStream.create(pushAll, { bufferSize: 2, overflow: 'drop-newest' }).toArray()).to.eventually.deep.equal([0, 1, 2]),
+			expect(AsyncStream.create(pushAll, { bufferSize: 2 }).toArray()).to.be.rejectedWith(BufferOverflowError),
+			expect(AsyncStream.create(blocking, { bufferSize: 1, overflow: 'block' }).toArray()).to.eventually.deep.equal([0, 1, 2, 3])
+				.then(() => expect(accepted).to.deep.equal([true, true, true, true])),
+			expect(AsyncStream.create(({ push, error }) => { push(1); error(new Error('bang')); }).toArray()).to.be.rejectedWith('bang'),
+			expect(AsyncStream.create(() => { throw new Error('oops'); }).toArray()).to.be.rejectedWith('oops')
+		]).then(() => expect(() => AsyncStream.create(pushAll, { overflow: 'explode' })).to.throw(RangeError));
+	});
+
+	describe('node stream interop', ()=>{
+
+		it('reads from a readable stream', ()=>{
+			let readable = new PassThrough({ objectMode: true });
+			readable.write(1);
+			readable.write(2);
+			readable.end(3);
+			return expect(AsyncStream.fromReadable(readable).toArray()).to.eventually.deep.equal([1, 2, 3]);
+		});
+
+		it('destroys a readable stream when closed early', ()=>{
+			let readable = new PassThrough({ objectMode: true });
+			[1, 2, 3].forEach(item => readable.write(item));
+			return AsyncStream.fromReadable(readable).take(1).toArray().then(result => {
+				expect(result).to.deep.equal([1]);
+				expect(readable.destroyed).to.be.true;
+			});
+		});
+
+		it('converts to a readable stream', ()=>{
+			let items = [];
+			let readable = AsyncStream.from(TEST_DATA).toReadable();
+			readable.on('data', item => items.push(item));
+			return new Promise(resolve => readable.on('end', resolve)).then(() => expect(items).to.deep.equal(TEST_DATA.iterable));
+		});
+
+		it('pipes to a writable stream, waiting for it to drain', ()=>{
+			let written = [];
+			let max_buffered = 0;
+			let writable = new Writable({ objectMode: true, highWaterMark: 2, write(item, encoding, callback) {
+				written.push(item);
+				max_buffered = Math.max(max_buffered, writable.writableLength);
+				setTimeout(callback, 1);
+			} });
+			return AsyncStream.range(0, 20).pipeTo(writable).then(() => {
+				expect(written).to.deep.equal(Stream.range(0, 20).toArray());
+				expect(max_buffered).to.be.at.most(2);
+				expect(writable.writableFinished).to.be.true;
+			});
+		});
+
+		it('round trips through a file', ()=>{
+			let file = path.join(os.tmpdir(), 'iterator-plumbing-' + process.pid + '.txt');
+			return AsyncStream.of('alpha\n', 'beta\n').pipeTo(fs.createWriteStream(file))
+				.then(() => AsyncStream.fromReadable(fs.createReadStream(file, 'utf8')).toArray())
+				.then(chunks => chunks.join(''))
+				.then(result => expect(result).to.equal('alpha\nbeta\n'))
+				.finally(() => fs.unlinkSync(file));
+		});
+
+		it('closes the stream when the writable stream fails', ()=>{
+			let closed = false;
+			let writable = new Writable({ objectMode: true, write(item, encoding, callback) {
+				callback(item === 3 ? new Error('disk full') : null);
+			} });
+			return expect(AsyncStream.range(0, 100).onClose(() => closed = true).pipeTo(writable)).to.be.rejectedWith('disk full')
+				.then(() => expect(closed).to.be.true);
+		});
+
+		it('reports a failure to write the last item without ending the writable stream', ()=>{
+			let writable = new Writable({ objectMode: true, write(item, encoding, callback) {
+				setTimeout(() => callback(item === 4 ? new Error('disk full') : null), 1);
+			} });
+			return expect(AsyncStream.range(0, 5).pipeTo(writable, { end: false })).to.be.rejectedWith('disk full');
+		});
+
+		it('stops waiting for a writable stream to drain when it fails', ()=>{
+			let writable = new Writable({ objectMode: true, highWaterMark: 1, write() { setTimeout(() => writable.destroy(new Error('gone')), 1); } });
+			return expect(AsyncStream.range(0, 5).pipeTo(writable)).to.be.rejectedWith('gone')
+				.then(() => expect(writable.listenerCount('drain')).to.equal(0));
+		});
+
+		it('destroys the writable stream when the stream fails', ()=>{
+			let writable = new PassThrough({ objectMode: true });
+			writable.on('error', () => undefined);
+			let failing = AsyncStream.range(0, 5).map(item => item === 2 ? Promise.reject(new Error('oops')) : item);
+			return expect(failing.pipeTo(writable)).to.be.rejectedWith('oops')
+				.then(() => expect(writable.destroyed).to.be.true);
+		});
+	});
+
+	describe('web stream interop', ()=>{
+
+		// web streams are global from Node.js 18, in the stream/web module in Node.js 16, and missing before that
+		let web = global;
+		try { if (typeof global.ReadableStream === 'undefined') web = require('stream/web'); } catch (err) { web = {}; }
+		const { ReadableStream, WritableStream } = web;
+
+		before(function() { if (!ReadableStream) this.skip(); });
+
+		it('reads from a web stream', ()=>{
+			let readable = new ReadableStream({ start(controller) { [1, 2, 3].forEach(item => controller.enqueue(item)); controller.close(); } });
+			return AsyncStream.fromWebStream(readable).toArray().then(result => {
+				expect(result).to.deep.equal([1, 2, 3]);
+				expect(readable.locked).to.be.false;
+			});
+		});
+
+		it('cancels a web stream when closed early', ()=>{
+			let cancelled = false;
+			let count = 0;
+			let readable = new ReadableStream({ pull(controller) { controller.enqueue(count++); }, cancel() { cancelled = true; } });
+			return AsyncStream.fromWebStream(readable).take(3).toArray().then(result => {
+				expect(result).to.deep.equal([0, 1, 2]);
+				expect(cancelled).to.be.true;
+			});
+		});
+
+		it('unlocks a web stream which fails', ()=>{
+			let count = 0;
+			let readable = new ReadableStream({ pull(controller) { if (count < 2) controller.enqueue(count++); else controller.error(new Error('broken')); } });
+			return expect(AsyncStream.fromWebStream(readable).toArray()).to.be.rejectedWith('broken')
+				.then(() => expect(readable.locked).to.be.false);
+		});
+
+		it('converts to a web stream which pulls lazily', function() {
+			if (typeof global.ReadableStream === 'undefined') this.skip();
+			let pulled = 0;
+			let closed = false;
+			let reader = AsyncStream.range(0, 100).map(item => { pulled++; return item; }).onClose(() => closed = true).toWebStream().getReader();
+			return later(null, 10)
+				.then(() => expect(pulled).to.equal(0))
+				.then(() => reader.read())
+				.then(result => expect(result).to.deep.equal({ done: false, value: 0 }))
+				.then(() => reader.cancel())
+				.then(() => {
+					expect(pulled).to.equal(1);
+					expect(closed).to.be.true;
+				});
+		});
+
+		it('pipes to a web stream', ()=>{
+			let written = [];
+			let writable = new WritableStream({ write(item) { written.push(item); return later(); } }, { highWaterMark: 2 });
+			return AsyncStream.from(TEST_DATA).pipeTo(writable).then(() => {
+				expect(written).to.deep.equal(TEST_DATA.iterable);
+				expect(writable.locked).to.be.false;
+			});
+		});
+
+		it('propagates errors to and from a web stream', ()=>{
+			let closed = false;
+			let aborted = null;
+			let failing = new WritableStream({ write(item) { if (item === 3) throw new Error('nope'); } });
+			let aborting = new WritableStream({ abort(reason) { aborted = reason; } });
+			return Promise.all([
+				expect(AsyncStream.range(0, 100).onClose(() => closed = true).pipeTo(failing)).to.be.rejectedWith('nope')
+					.then(() => expect(closed).to.be.true),
+				expect(AsyncStream.range(0, 5).map(item => item === 2 ? Promise.reject(new Error('oops')) : item).pipeTo(aborting)).to.be.rejectedWith('oops')
+					.then(() => expect(aborted.message).to.equal('oops'))
+			]);
+		});
+
+		it('explains what is missing when web streams are not available', ()=>{
+			let available = Object.getOwnPropertyDescriptor(global, 'ReadableStream');
+			delete global.ReadableStream;
+			try {
+				expect(() => AsyncStream.of(1).toWebStream()).to.throw('web streams API');
+			} finally {
+				if (available) Object.defineProperty(global, 'ReadableStream', available);
+			}
+			expect(() => AsyncStream.fromWebStream({})).to.throw(TypeError, 'web ReadableStream');
+			return expect(AsyncStream.of(1).pipeTo({})).to.be.rejectedWith(TypeError, 'WritableStream');
+		});
+
+		it('reports a failure to write the last item to a web stream', ()=>{
+			let failing = new WritableStream({ write(item) { return later().then(() => { if (item === 4) throw new Error('nope'); }); } }, { highWaterMark: 10 });
+			return expect(AsyncStream.range(0, 5).pipeTo(failing, { end: false })).to.be.rejectedWith('nope')
+				.then(() => expect(failing.locked).to.be.false);
+		});
+	});
+
+	describe('text formats', ()=>{
+
+		const CSV = 'name,note\r\n"Smith, J","said ""hi"""\r\nDoe,"multi\nline"\r\n';
+		const RECORDS = [ { name: 'Smith, J', note: 'said "hi"' }, { name: 'Doe', note: 'multi\nline' } ];
+		let chunked = (text, size) => Stream.range(0, text.length, size).map(start => text.slice(start, start + size)).toArray();
+
+		it('splits chunks into lines', ()=>{
+			let text = Buffer.from('héllo\r\nwörld\nlast');
+			return Promise.all([
+				expect(AsyncStream.of(text.subarray(0, 2), text.subarray(2, 9), text.subarray(9)).lines().toArray()).to.eventually.deep.equal(['héllo', 'wörld', 'last']),
+				expect(AsyncStream.of('a\n', '\n', 'b\n').lines().toArray()).to.eventually.deep.equal(['a', '', 'b'])
+			]);
+		});
+
+		it('parses and formats newline-delimited JSON', ()=>{
+			return Promise.all([
+				expect(AsyncStream.of('{"a":1}\n  \n[2', ',3]\n').ndjson().toArray()).to.eventually.deep.equal([ { a: 1 }, [2, 3] ]),
+				expect(AsyncStream.of('{"a":1}\n{oops\n').ndjson().toArray()).to.be.rejectedWith(SyntaxError, 'line 2'),
+				expect(AsyncStream.of({ a: 1 }, [2]).toNdjson().ndjson().toArray()).to.eventually.deep.equal([ { a: 1 }, [2] ])
+			]);
+		});
+
+		it('parses CSV however it is chunked', ()=>{
+			return Promise.all([1, 5, CSV.length].map(size =>
+				expect(AsyncStream.from(chunked(CSV, size)).csv({ header: true }).toArray()).to.eventually.deep.equal(RECORDS)
+			));
+		});
+
+		it('parses CSV with options', ()=>{
+			return Promise.all([
+				expect(AsyncStream.of('a;b\n1;"2;3"').csv({ delimiter: ';' }).toArray()).to.eventually.deep.equal([ ['a', 'b'], ['1', '2;3'] ]),
+				expect(AsyncStream.of('1,2\n').csv({ header: ['x', 'y'] }).toArray()).to.eventually.deep.equal([ { x: '1', y: '2' } ]),
+				expect(AsyncStream.of('a,"b').csv().toArray()).to.be.rejectedWith(SyntaxError, 'Unterminated')
+			]);
+		});
+
+		it('formats CSV', ()=>{
+			return Promise.all([
+				expect(AsyncStream.from(RECORDS).toCsv({ header: true }).join('')).to.eventually.equal(CSV),
+				expect(AsyncStream.of([1, null, 'x']).toCsv().toArray()).to.eventually.deep.equal(['1,,x\r\n']),
+				expect(AsyncStream.from(RECORDS).toCsv({ header: ['note'], delimiter: ';' }).csv({ header: true, delimiter: ';' }).toArray())
+					.to.eventually.deep.equal(RECORDS.map(({ note }) => ({ note })))
+			]);
+		});
+	});
+
+	describe('time-based operations', ()=>{
+
+		const SCHEDULE = [ [0, 'a'], [10, 'b'], [20, 'c'], [110, 'd'], [115, 'e'], [320, 'f'] ];
+
+		function timed(clock, schedule = SCHEDULE) {
+			let elapsed = 0;
+			return AsyncStream.from(schedule).map(([ at, item ]) => new Promise(resolve => {
+				clock.setTimeout(() => resolve(item), at - elapsed);
+				elapsed = at;
+			}));
+		}
+
+		function run(clock, stream) {
+			let result = stream.toArray();
+			result.catch(() => undefined);
+			return clock.advance(1000).then(() => result);
+		}
+
+		it('debounces a stream', ()=>{
+			let clock = new ManualClock();
+			return expect(run(clock, timed(clock).debounce(50, { clock }))).to.eventually.deep.equal(['c', 'e', 'f']);
+		});
+
+		it('throttles a stream', ()=>{
+			let clock = new ManualClock();
+			return expect(run(clock, timed(clock).throttle(50, { clock }))).to.eventually.deep.equal(['a', 'd', 'f']);
+		});
+
+		it('samples a stream', ()=>{
+			let clock = new ManualClock();
+			return expect(run(clock, timed(clock).sample(50, { clock }))).to.eventually.deep.equal(['c', 'e', 'f']);
+		});
+
+		it('returns the last item when a sampled stream ends between samples', ()=>{
+			let sample = schedule => {
+				let clock = new ManualClock();
+				return run(clock, timed(clock, schedule).sample(50, { clock }));
+			};
+			return Promise.all([
+				expect(sample([ [0, 'x'] ])).to.eventually.deep.equal(['x']),
+				expect(sample([ [10, 'a'], [60, 'b'] ])).to.eventually.deep.equal(['a', 'b']),
+				expect(sample([ [10, 'a'], [20, 'b'] ])).to.eventually.deep.equal(['b'])
+			]);
+		});
+
+		it('buffers a stream by time', ()=>{
+			let clock = new ManualClock();
+			return Promise.all([
+				expect(run(clock, timed(clock).bufferTime(50, Infinity, { clock }))).to.eventually.deep.equal([ ['a', 'b', 'c'], ['d', 'e'], ['f'] ]),
+				expect(run(clock, timed(clock).bufferTime(50, 2, { clock }))).to.eventually.deep.equal([ ['a', 'b'], ['c'], ['d', 'e'], ['f'] ])
+			]);
+		});
+
+		it('times out waiting for an item', ()=>{
+			let clock = new ManualClock();
+			let closed = false;
+			let stream = timed(clock).onClose(() => closed = true).timeout(150, { clock });
+			return expect(run(clock, stream)).to.be.rejectedWith(TimeoutError, '150ms')
+				.then(() => expect(closed).to.be.true)
+				.then(() => expect(run(clock, timed(clock).timeout(250, { clock }))).to.eventually.have.length(6));
+		});
+
+		it('times out waiting for the whole stream', ()=>{
+			let clock = new ManualClock();
+			return expect(run(clock, timed(clock).timeout(Infinity, { total: 120, clock }))).to.be.rejectedWith(TimeoutError, '120ms');
+		});
+
+		it('stops reading when the consumer of a time-based operation falls behind', ()=>{
+			let clock = new ManualClock();
+			let ticks = () => {
+				let reads = { count: 0 };
+				reads.stream = AsyncStream.generate(index => new Promise(resolve => clock.setTimeout(() => { reads.count++; resolve(index); }, 10)));
+				return reads;
+			};
+			let sampled = ticks(), debounced = ticks(), buffered = ticks();
+			let streams = [ sampled.stream.sample(20, { clock }), debounced.stream.debounce(5, { clock }), buffered.stream.bufferTime(1000, 2, { clock }) ];
+			let first = Promise.all(streams.map(stream => stream.shift()));
+			return clock.advance(1000)
+				.then(() => expect(first).to.eventually.deep.equal([0, 0, [0, 1]]))
+				.then(() => {
+					expect(sampled.count).to.be.below(10);
+					expect(debounced.count).to.be.below(10);
+					expect(buffered.count).to.be.below(10);
+				})
+				.then(() => Promise.all(streams.map(stream => stream.return())));
+		});
+
+		it('tears down a time-based operation when closed early', ()=>{
+			let clock = new ManualClock();
+			let closed = false;
+			let stream = timed(clock).onClose(() => closed = true).bufferTime(50, Infinity, { clock });
+			let result = stream.take(1).toArray();
+			return clock.advance(60)
+				.then(() => result)
+				.then(result => {
+					expect(result).to.deep.equal([ ['a', 'b', 'c'] ]);
+					expect(closed).to.be.true;
+					expect(clock.timers.map(timer => timer.at)).to.deep.equal([110]);
+				});
+		});
+	});
+
+	describe('cancellation', ()=>{
+
+		it('rejects a terminal operation when its signal is aborted', ()=>{
+			let controller = new AbortController();
+			let closed = false;
+			let result = AsyncStream.interval(5).onClose(() => closed = true).toArray({ signal: controller.signal });
+			setTimeout(() => controller.abort(), 18);
+			return expect(result).to.be.rejectedWith(AbortError)
+				.then(() => expect(closed).to.be.true);
+		});
+
+		it('does not start a terminal operation if its signal is already aborted', ()=>{
+			let controller = new AbortController();
+			controller.abort('client disconnected');
+			let pulled = 0;
+			let stream = AsyncStream.from(TEST_DATA).map(item => { pulled++; return item; });
+			return stream.reduce((a, b) => a + b, 0, undefined, undefined, { signal: controller.signal })
+				.then(() => expect.fail('should have been aborted'), error => {
+					expect(error).to.be.instanceOf(AbortError);
+					expect(error.reason).to.equal('client disconnected');
+					expect(pulled).to.equal(0);
+				});
+		});
+
+		it('accepts a signal on every terminal operation', ()=>{
+			let aborted = new AbortController();
+			aborted.abort();
+			let signal = aborted.signal;
+			let terminals = [
+				stream => stream.every(item => item > 0, undefined, { signal }),
+				stream => stream.some(item => item > 0, undefined, { signal }),
+				stream => stream.find(item => item > 100, undefined, { signal }),
+				stream => stream.findIndex(item => item > 100, undefined, { signal }),
+				stream => stream.forEach(() => undefined, undefined, { signal }),
+				stream => stream.forEachConcurrent(() => undefined, { concurrency: 2, signal }),
+				stream => stream.groupBy(item => item % 2, undefined, { signal }),
+				stream => stream.countBy(item => item % 2, { signal }),
+				stream => stream.includes(100, 0, { signal }),
+				stream => stream.indexOf(100, 0, { signal }),
+				stream => stream.join(',', { signal }),
+				stream => stream.max(natural, { signal }),
+				stream => stream.minBy(item => item, natural, { signal }),
+				stream => stream.partition(item => item % 2, undefined, { signal }),
+				stream => stream.shift({ signal }),
+				stream => stream.topK(2, natural, { signal }),
+				stream => stream.toArray({ signal }),
+				stream => stream.toMap(item => item, item => item, { signal }),
+				stream => stream.pipeTo(new PassThrough({ objectMode: true }).on('error', () => undefined), { signal })
+			];
+			return Promise.all(terminals.map(terminal => expect(terminal(AsyncStream.from(TEST_DATA))).to.be.rejectedWith(AbortError)));
+		});
+
+		it('rejects a terminal at once when aborted while a callback is running', ()=>{
+			let controller = new AbortController();
+			let closed = false;
+			let events = [];
+			let started, finish;
+			let running = new Promise(resolve => started = resolve);
+			let callback = () => {
+				started();
+				return new Promise(resolve => finish = resolve).then(() => events.push('callback finished'));
+			};
+			let source = AsyncStream.from(TEST_DATA).onClose(() => { closed = true; });
+			let result = source.forEach(callback, undefined, { signal: controller.signal });
+			return running
+				.then(() => controller.abort())
+				.then(() => expect(result).to.be.rejectedWith(AbortError))
+				.then(() => {
+					events.push('rejected');
+					finish();
+					return later(null);
+				})
+				.then(() => expect([ events, closed ]).to.deep.equal([ [ 'rejected', 'callback finished' ], true ]));
+		});
+
+		it('stops a stream from a factory when its signal is aborted', ()=>{
+			let controller = new AbortController();
+			let stream = AsyncStream.range(0, Infinity, 1, { signal: controller.signal });
+			return stream.next()
+				.then(result => expect(result).to.deep.equal({ done: false, value: 0 }))
+				.then(() => controller.abort())
+				.then(() => expect(stream.next()).to.be.rejectedWith(AbortError))
+				.then(() => expect(stream.next()).to.eventually.include({ done: true }));
+		});
+
+		it('rejects a pending request and closes the source when aborted', ()=>{
+			let controller = new AbortController();
+			let closed = false;
+			async function* slow() { try { for (let i = 0;; i++) yield later(i, 20); } finally { closed = true; } }
+			let stream = AsyncStream.zip(slow(), [1, 2, 3]).withSignal(controller.signal);
+			let pending = stream.next();
+			controller.abort();
+			return expect(pending).to.be.rejectedWith(AbortError)
+				.then(() => later(null, 30))
+				.then(() => expect(closed).to.be.true);
+		});
+	});
+
+	describe('rate limiting', ()=>{
+
+		let stamped = (clock, stream) => stream.map(item => [item, clock.now()]).toArray();
+
+		it('allows a burst and then paces items to the refill rate', ()=>{
+			let clock = new ManualClock();
+			let result = stamped(clock, AsyncStream.from([1, 2, 3, 4, 5]).rateLimit({ perInterval: 2, interval: 100, clock }));
+			return clock.advance(300)
+				.then(() => expect(result).to.eventually.deep.equal([[1, 0], [2, 0], [3, 50], [4, 100], [5, 150]]));
+		});
+
+		it('takes a token before requesting each item', ()=>{
+			let clock = new ManualClock();
+			let requested = [];
+			let source = AsyncStream.from([1, 2, 3, 4, 5]).map(item => { requested.push(clock.now()); return item; });
+			let result = source.rateLimit({ perInterval: 2, interval: 100, clock }).toArray();
+			return clock.advance(300)
+				.then(() => expect(result).to.eventually.deep.equal([1, 2, 3, 4, 5]))
+				.then(() => expect(requested).to.deep.equal([0, 0, 50, 100, 150]));
+		});
+
+		it('gives a token to the next in line as soon as it can when a request is aborted', ()=>{
+			let clock = new ManualClock();
+			let controller = new AbortController();
+			let limiter = new RateLimiter({ perInterval: 1, interval: 100, clock });
+			return limiter.acquire()
+				.then(() => {
+					let aborted = limiter.acquire({ signal: controller.signal });
+					let next = limiter.acquire().then(() => clock.now());
+					return clock.advance(90)
+						.then(() => controller.abort())
+						.then(() => expect(aborted).to.be.rejectedWith(AbortError))
+						.then(() => clock.advance(10))
+						.then(() => expect(next).to.eventually.equal(100));
+				});
+		});
+
+		it('shares one budget between several streams', ()=>{
+			let clock = new ManualClock();
+			let limiter = new RateLimiter({ perInterval: 1, interval: 10, clock });
+			let first = stamped(clock, AsyncStream.from(['a', 'b', 'c']).rateLimit(limiter));
+			let second = stamped(clock, AsyncStream.from(['x', 'y', 'z']).rateLimit(limiter));
+			return clock.advance(100)
+				.then(() => Promise.all([first, second]))
+				.then(([a, b]) => expect(a.concat(b).map(([, time]) => time).sort((x, y) => x - y)).to.deep.equal([0, 10, 20, 30, 40, 50]));
+		});
+
+		it('stops waiting for a token when its signal is aborted', ()=>{
+			let clock = new ManualClock();
+			let controller = new AbortController();
+			let limiter = new RateLimiter({ perInterval: 1, interval: 100, clock });
+			let stream = AsyncStream.from(TEST_DATA).rateLimit(limiter, { signal: controller.signal });
+			return stream.shift()
+				.then(item => {
+					expect(item).to.equal(1);
+					let pending = stream.next();
+					return clock.advance(50)
+						.then(() => controller.abort())
+						.then(() => expect(pending).to.be.rejectedWith(AbortError));
+				})
+				.then(() => {
+					expect(clock.timers).to.be.empty;
+					let acquired = limiter.acquire().then(() => clock.now());
+					return clock.advance(50).then(() => expect(acquired).to.eventually.equal(100));
+				});
+		});
+
+		it('rejects invalid options', ()=>{
+			expect(() => new RateLimiter({ perInterval: 0 })).to.throw(RangeError);
+			expect(() => AsyncStream.from(TEST_DATA).rateLimit({ perInterval: 1, interval: -1 })).to.throw(RangeError);
+			expect(() => new RateLimiter({ perInterval: 5, burst: 0.5 })).to.throw(RangeError);
+		});
+	});
+
+	describe('pagination', ()=>{
+
+		function fakeApi(pageSize, total) {
+			let api = { requested: [] };
+			api.fetch = offset => {
+				api.requested.push(offset);
+				let rows = Stream.range(offset, Math.min(offset + pageSize, total)).toArray();
+				return later({ rows, next: offset + pageSize < total ? offset + pageSize : undefined });
+			};
+			return api;
+		}
+
+		let options = { initialCursor: 0, getItems: page => page.rows, getNextCursor: page => page.next };
+
+		it('reads the items from every page', ()=>{
+			let api = fakeApi(3, 8);
+			return AsyncStream.paginate(api.fetch, options).toArray()
+				.then(items => expect(items).to.deep.equal([0, 1, 2, 3, 4, 5, 6, 7]))
+				.then(() => expect(api.requested).to.deep.equal([0, 3, 6]));
+		});
+
+		it('uses items and nextCursor by default and skips empty pages', ()=>{
+			let pages = { first: { items: ['a', 'b'], nextCursor: 'second' }, second: { items: [], nextCursor: 'third' }, third: { items: ['c'], nextCursor: null } };
+			return expect(AsyncStream.paginate(cursor => pages[cursor], { initialCursor: 'first' }).toArray()).to.eventually.deep.equal(['a', 'b', 'c']);
+		});
+
+		it('treats a page without items as empty', ()=>{
+			let fetchPage = cursor => cursor ? { nextCursor: null } : { items: [1], nextCursor: 'last' };
+			return expect(AsyncStream.paginate(fetchPage).toArray()).to.eventually.deep.equal([1]);
+		});
+
+		it('does not fetch pages which are not needed', ()=>{
+			let api = fakeApi(3, 100);
+			let stream = AsyncStream.paginate(api.fetch, options);
+			expect(api.requested).to.be.empty;
+			return stream.take(4).toArray()
+				.then(items => expect(items).to.deep.equal([0, 1, 2, 3]))
+				.then(() => AsyncStream.paginate(api.fetch, options).find(item => item === 7))
+				.then(item => expect(item).to.equal(7))
+				.then(() => expect(api.requested).to.deep.equal([0, 3, 0, 3, 6]));
+		});
+
+		it('fetches the next page while the current page is read when prefetching', ()=>{
+			let api = fakeApi(3, 100);
+			let stream = AsyncStream.paginate(api.fetch, Object.assign({ prefetch: true }, options));
+			return stream.shift()
+				.then(item => {
+					expect(item).to.equal(0);
+					expect(api.requested).to.deep.equal([0, 3]);
+					return stream.take(4).toArray();
+				})
+				.then(items => expect(items).to.deep.equal([1, 2, 3, 4]))
+				.then(() => expect(api.requested).to.deep.equal([0, 3, 6]));
+		});
+
+		it('fails if a page cannot be fetched', ()=>{
+			let fetchPage = cursor => cursor < 2 ? { items: [cursor], nextCursor: cursor + 1 } : Promise.reject(new Error('unavailable'));
+			return expect(AsyncStream.paginate(fetchPage, { initialCursor: 0 }).toArray()).to.be.rejectedWith('unavailable');
+		});
+	});
+
+	describe('sync interop and prefetch', ()=>{
+
+		it('wraps a single value which is not iterable in an async stream', ()=>{
+			let stream = AsyncStream.from(42);
+			expect(stream).to.be.an.instanceof(AsyncStream);
+			return expect(stream.toArray()).to.eventually.deep.equal([42]);
+		});
+
+		it('accepts sync iterables where it accepts async ones', ()=>{
+			let concatenated = AsyncStream.from([1, 2]).concat(Stream.from([3, 4])).concat([5]).toArray();
+			let flattened = AsyncStream.from([1, 2, 3]).flatten(n => Stream.range(0, n)).toArray();
+			let promised = AsyncStream.from(['ab', 'c']).flatten(s => later(s.split(''))).toArray();
+			return Promise.all([
+				expect(concatenated).to.eventually.deep.equal([1, 2, 3, 4, 5]),
+				expect(flattened).to.eventually.deep.equal([0, 0, 1, 0, 1, 2]),
+				expect(promised).to.eventually.deep.equal(['a', 'b', 'c'])
+			]);
+		});
+
+		it('drains an async stream into a sync stream', ()=>{
+			return AsyncStream.from(TEST_DATA).toStream()
+				.then(stream => {
+					expect(stream).to.be.an.instanceof(Stream);
+					expect(stream.filter(e => e > 20).toArray()).to.deep.equal([21, 34, 55, 89]);
+				});
+		});
+
+		it('reads ahead of the consumer when prefetching', ()=>{
+			let read = [];
+			let stream = AsyncStream.from([1, 2, 3, 4, 5, 6]).map(item => { read.push(item); return later(item, 1); }).prefetch(3);
+			expect(read).to.be.empty;
+			return stream.shift()
+				.then(item => expect(item).to.equal(1))
+				.then(() => later(null, 20))
+				.then(() => expect(read).to.deep.equal([1, 2, 3, 4]))
+				.then(() => stream.toArray())
+				.then(items => expect(items).to.deep.equal([2, 3, 4, 5, 6]));
+		});
+
+		it('reports an error from a prefetched item when it is reached', ()=>{
+			let stream = AsyncStream.from([1, 2, 3, 4]).map(item => item === 3 ? Promise.reject(new Error('bad item')) : item).prefetch(4);
+			return stream.next()
+				.then(result => expect(result).to.deep.equal({ done: false, value: 1 }))
+				.then(() => stream.next())
+				.then(result => expect(result).to.deep.equal({ done: false, value: 2 }))
+				.then(() => expect(stream.next()).to.be.rejectedWith('bad item'));
+		});
+
+		it('closes the source when a prefetching stream is closed', ()=>{
+			let closed = false;
+			async function* numbers() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+			return AsyncStream.from(numbers()).prefetch(5).take(2).toArray()
+				.then(items => expect(items).to.deep.equal([0, 1]))
+				.then(() => expect(closed).to.be.true);
+		});
+
+		it('rejects a prefetch size less than 1', ()=>{
+			expect(() => AsyncStream.from(TEST_DATA).prefetch(0)).to.throw(RangeError);
+		});
+	});
+
+});
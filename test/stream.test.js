@@ -1,6 +1,7 @@
 const chai = require('chai')
 const expect = chai.expect;
-const { Stream } = require('../src');
+const { Stream, comparators, BufferOverflowError } = require('../src');
+const { natural, descending, by, compose } = comparators;
 
 const TEST_DATA = [ 1, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89 ];
 const TEST_MAP1 = [ [ 'foo', 'bar' ], [ 'dinkum', 'thinkum'], ['wyoming','knot'], ['dick','seaton'] ];
@@ -176,9 +177,409 @@ describe('Stream', () => {
 		expect(stream.toArray()).to.deep.equal(TEST_ARR1);
 	});
 
+	it('flattens over empty inner iterables, reading nothing until asked', ()=>{
+		let read = [];
+		let stream = Stream.of([], [1], [], [], [2, 3], []).flatten(inner => { read.push(inner); return Stream.from(inner); });
+		expect(read).to.be.empty;
+		expect(stream.toArray()).to.deep.equal([1, 2, 3]);
+		expect(read).to.have.length(6);
+		expect(Stream.of([], []).flatten().toArray()).to.deep.equal([]);
+	});
+
 	it('converts entries to values', ()=>{
 		let stream = Stream.from(TEST_MAP1);
 		expect(stream.toValues()).to.deep.equal(TEST_MAP1.map(([k,v])=>v));		
 	});
 
+	it('supports the iteration protocol', ()=>{
+		let result = [];
+		for (let item of Stream.from(TEST_DATA).filter(e=>e>10).map(e=>e*10)) result.push(item);
+		expect(result).to.deep.equal(TEST_DATA.filter(e=>e>10).map(e=>e*10));
+		expect([...Stream.from(TEST_DATA).concat(Stream.of(99))]).to.deep.equal(TEST_DATA.concat([99]));
+		expect(Array.from(Stream.from(TEST_MAP1).flatten())).to.deep.equal(TEST_ARR1);
+		let [first, second, ...rest] = Stream.from(TEST_DATA);
+		expect([first, second, rest]).to.deep.equal([TEST_DATA[0], TEST_DATA[1], TEST_DATA.slice(2)]);
+	});
+
+	it('closes the source when a terminal operation stops early', ()=>{
+		let closed = 0;
+		function* generate() { try { yield* TEST_DATA; } finally { closed++; } }
+		expect(Stream.from(generate()).map(e=>e*10).filter(e=>e>10).find(e => e === 130)).to.equal(130);
+		expect(Stream.from(generate()).some(e => e === 13)).to.be.true;
+		expect(Stream.from(generate()).every(e => e < 10)).to.be.false;
+		expect(Stream.from(generate()).includes(13)).to.be.true;
+		expect(closed).to.equal(4);
+	});
+
+	it('propagates return through concatenated and flattened streams', ()=>{
+		let closed = [];
+		function* generate(name, items) { try { yield* items; } finally { closed.push(name); } }
+		expect(Stream.from(generate('a', TEST_DATA)).concat(Stream.from(generate('b', TEST_DATA))).findIndex(e => e === 13)).to.equal(6);
+		expect(Stream.from(generate('outer', TEST_MAP1)).flatten(item=>Stream.from(generate('inner', item))).find(e => e === 'thinkum')).to.equal('thinkum');
+		expect(closed).to.deep.equal(['a', 'inner', 'inner', 'outer']);
+	});
+
+	it('propagates throw to the source', ()=>{
+		function* generate() { 
+			try { yield 1; yield 2; } catch (err) { yield err.message; }
+		}
+		let stream = Stream.from(generate()).map(e=>'mapped ' + e);
+		expect(stream.next().value).to.equal('mapped 1');
+		expect(stream.throw(new Error('oops')).value).to.equal('mapped oops');
+		expect(stream.next().done).to.be.true;
+		expect(() => Stream.from(TEST_DATA).filter(e=>e>10).throw(new Error('oops'))).to.throw('oops');
+	});
+
+	it('calls onClose exactly once', ()=>{
+		let closed = 0;
+		let stream = Stream.from(TEST_DATA).onClose(() => closed++).map(e=>e*10);
+		expect(stream.toArray()).to.deep.equal(TEST_DATA.map(e=>e*10));
+		stream.next();
+		expect(closed).to.equal(1);
+		expect(Stream.from(TEST_DATA).onClose(() => closed++).find(e => e === 13)).to.equal(13);
+		expect(closed).to.equal(2);
+		expect(() => Stream.from(TEST_DATA).onClose(() => closed++).forEach(() => { throw new Error('oops'); })).to.throw('oops');
+		expect(closed).to.equal(3);
+	});
+
+	it('slices infinite streams', ()=>{
+		let closed = false;
+		function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		expect(Stream.from(naturals()).slice(5,10).toArray()).to.deep.equal([5,6,7,8,9]);
+		expect(closed).to.be.true;
+		expect(Stream.from(TEST_DATA).slice(6,2).toArray()).to.deep.equal([]);
+		expect(Stream.from(TEST_DATA).slice(2,0).toArray()).to.deep.equal([]);
+	});
+
+	it('supports take and drop', ()=>{
+		function* naturals() { for (let i = 0;; i++) yield i; }
+		expect(Stream.from(naturals()).drop(3).take(4).toArray()).to.deep.equal([3,4,5,6]);
+		expect(Stream.from(TEST_DATA).take(100).toArray()).to.deep.equal(TEST_DATA);
+		expect(Stream.from(TEST_DATA).drop(100).toArray()).to.deep.equal([]);
+	});
+
+	it('supports takeWhile and dropWhile', ()=>{
+		let closed = false;
+		function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		expect(Stream.from(naturals()).dropWhile(e => e < 3).takeWhile(e => e < 7).toArray()).to.deep.equal([3,4,5,6]);
+		expect(closed).to.be.true;
+		expect(Stream.from(TEST_DATA).dropWhile(e => e < 10).toArray()).to.deep.equal([13, 21, 34, 55, 89]);
+		expect(Stream.from(TEST_DATA).takeWhile(e => e < 100).toArray()).to.deep.equal(TEST_DATA);
+	});
+
+	it('recovers from errors with catchError', ()=>{
+		let closed = false;
+		function* generate() { try { yield* TEST_DATA; } finally { closed = true; } }
+		let parse = e => { if (e > 5) throw new Error('bad ' + e); return e; };
+		expect(Stream.from(generate()).map(parse).catchError(err => [err.message]).toArray()).to.deep.equal([1,1,2,3,5,'bad 8']);
+		expect(closed).to.be.true;
+		expect(Stream.from(TEST_DATA).map(parse).catchError(() => undefined).toArray()).to.deep.equal([1,1,2,3,5]);
+		expect(() => Stream.from(TEST_DATA).map(parse).catchError(() => Stream.of(1).map(parse).map(e => e * 10).map(parse)).toArray()).to.throw('bad 10');
+	});
+
+	it('skips errors with skipErrors', ()=>{
+		let errors = [];
+		let parse = e => { if (e % 2 === 0) throw new Error('bad ' + e); return e; };
+		expect(Stream.from(TEST_DATA).map(parse).skipErrors((err, count) => errors.push([err.message, count])).toArray())
+			.to.deep.equal(TEST_DATA.filter(e => e % 2 !== 0));
+		expect(errors).to.deep.equal([['bad 2', 1], ['bad 8', 2], ['bad 34', 3]]);
+		expect(() => Stream.from(TEST_DATA).map(parse).skipErrors(err => { throw err; }).toArray()).to.throw('bad 2');
+	});
+
+	it('gives up skipping errors after too many in a row', ()=>{
+		let closed = false, calls = 0;
+		let broken = { [Symbol.iterator]: () => ({ next: () => { throw new Error('broken ' + ++calls); }, return: () => { closed = true; return { done: true }; } }) };
+		let errors = 0;
+		expect(() => Stream.from(broken).skipErrors(() => errors++).toArray()).to.throw('broken 100');
+		expect(errors).to.equal(100);
+		expect(closed).to.be.true;
+		closed = false;
+		expect(() => Stream.from(broken).skipErrors(err => { throw err; }).toArray()).to.throw('broken 101');
+		expect(closed).to.be.true;
+		let flaky = Stream.from(TEST_DATA).map((e, i) => { if (i % 3 !== 2) throw new Error('flaky'); return e; });
+		expect(flaky.skipErrors(() => undefined, { maxConsecutiveErrors: 3 }).toArray()).to.deep.equal([2, 8, 34]);
+		expect(() => Stream.from(TEST_DATA).skipErrors(() => undefined, { maxConsecutiveErrors: 0 })).to.throw(RangeError);
+	});
+
+	it('zips streams together', ()=>{
+		let closed = false;
+		function* naturals() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		expect(Stream.zip(naturals(), TEST_ARR1, Stream.from(TEST_DATA).map(e=>e*10)).take(3).toArray())
+			.to.deep.equal([[0,'foo',10],[1,'bar',10],[2,'dinkum',20]]);
+		expect(Stream.zip(naturals(), TEST_ARR1).toArray()).to.deep.equal(TEST_ARR1.map((e,i)=>[i,e]));
+		expect(closed).to.be.true;
+		expect(Stream.zip().toArray()).to.deep.equal([]);
+	});
+
+	it('zips streams together until the longest ends', ()=>{
+		expect(Stream.zipLongest('-', [1,2,3], ['a'], []).toArray()).to.deep.equal([[1,'a','-'],[2,'-','-'],[3,'-','-']]);
+	});
+
+	it('zips a stream with another using a combiner', ()=>{
+		expect(Stream.from(TEST_DATA).zipWith(TEST_DATA.slice(1), (a,b)=>a+b).toArray())
+			.to.deep.equal(TEST_DATA.slice(2).concat([144]));
+	});
+
+	it('groups items into chunks', ()=>{
+		expect(Stream.from(TEST_DATA).chunk(4).toArray()).to.deep.equal([[1,1,2,3],[5,8,13,21],[34,55,89]]);
+		expect(Stream.from(TEST_ARR1).chunk(2).toArray()).to.deep.equal(TEST_MAP1);
+		expect(Stream.EMPTY.chunk(2).toArray()).to.deep.equal([]);
+		expect(() => Stream.EMPTY.chunk(0)).to.throw(RangeError);
+	});
+
+	it('creates sliding windows', ()=>{
+		expect(Stream.of(1,2,3,4,5).window(3).toArray()).to.deep.equal([[1,2,3],[2,3,4],[3,4,5]]);
+		expect(Stream.of(1,2,3,4,5,6,7,8).window(2,3).toArray()).to.deep.equal([[1,2],[4,5],[7,8]]);
+		expect(Stream.of(1,2).window(3).toArray()).to.deep.equal([]);
+		expect(Stream.from(TEST_DATA).window(3).map(([a,b,c]) => a+b === c).every(e => e)).to.be.true;
+	});
+
+	it('creates pairs of adjacent items', ()=>{
+		expect(Stream.of(1,2,3).pairwise().toArray()).to.deep.equal([[1,2],[2,3]]);
+		expect(Stream.of(1).pairwise().toArray()).to.deep.equal([]);
+	});
+
+	it('groups runs of items', ()=>{
+		expect(Stream.of(1,2,4,9,10,11,12,15,16,19,20,21).chunkWhile((a,b) => b === a + 1).toArray())
+			.to.deep.equal([[1,2],[4],[9,10,11,12],[15,16],[19,20,21]]);
+		expect(Stream.of(undefined, undefined, 1).chunkWhile((a,b) => a === b).toArray()).to.deep.equal([[undefined, undefined],[1]]);
+	});
+
+	it('groups items by key', ()=>{
+		expect(Array.from(Stream.from(TEST_DATA).groupBy(e => e % 3))).to.deep.equal([1, 2, 0].map(k => [k, TEST_DATA.filter(e => e % 3 === k)]));
+		let totals = Stream.from(TEST_MAP2).groupBy(item => item.grade < 'C', { initial: () => '', reducer: (names, item) => names + item.name });
+		expect(Array.from(totals)).to.deep.equal([[true, 'peterpaul'], [false, 'jonathan']]);
+	});
+
+	it('counts items by key', ()=>{
+		expect(Array.from(Stream.from(TEST_DATA).countBy(e => e % 2 ? 'odd' : 'even'))).to.deep.equal([['odd', 8], ['even', 3]]);
+	});
+
+	it('partitions items', ()=>{
+		expect(Stream.from(TEST_DATA).partition(e => e > 10)).to.deep.equal([TEST_DATA.filter(e => e > 10), TEST_DATA.filter(e => e <= 10)]);
+	});
+
+	it('lazily groups adjacent items', ()=>{
+		let words = ['apple', 'avocado', 'banana', 'blueberry', 'cherry', 'apricot'];
+		expect(Stream.from(words).groupAdjacent(w => w[0]).map(([k, group]) => [k, group.toArray()]).toArray())
+			.to.deep.equal([['a', ['apple', 'avocado']], ['b', ['banana', 'blueberry']], ['c', ['cherry']], ['a', ['apricot']]]);
+		let groups = Stream.from(words).groupAdjacent(w => w[0]);
+		let [, first] = groups.next().value;
+		expect(first.next().value).to.equal('apple');
+		let [key, second] = groups.next().value;
+		expect(first.next().done).to.be.true;
+		expect([key, second.toArray()]).to.deep.equal(['b', ['banana', 'blueberry']]);
+		expect(groups.toArray().map(([k]) => k)).to.deep.equal(['c', 'a']);
+	});
+
+	it('sorts streams', ()=>{
+		let shuffled = [ 34, 1, 89, 13, 2, 55, 1, 21, 5, 8, 3 ];
+		expect(Stream.from(shuffled).sorted().toArray()).to.deep.equal(TEST_DATA);
+		expect(Stream.from(shuffled).sorted(descending()).toArray()).to.deep.equal(Array.from(TEST_DATA).reverse());
+		expect(Stream.from(TEST_MAP2).sorted(by(item => item.name)).map(item => item.name).toArray()).to.deep.equal(['jonathan', 'paul', 'peter']);
+	});
+
+	it('stops a sorted stream when it is closed', ()=>{
+		let stream = Stream.of(3, 1, 2).sorted();
+		expect(stream.next()).to.deep.equal({ done: false, value: 1 });
+		stream.return();
+		expect(stream.next()).to.deep.equal({ done: true, value: undefined });
+	});
+
+	it('sorts by multiple keys', ()=>{
+		let data = [ { name: 'peter', grade: 'A'}, { name: 'paul', grade: 'B'}, { name: 'jonathan', grade: 'A'}, { name: 'mary', grade: 'B'} ];
+		expect(Stream.from(data).sorted(compose(by(item => item.grade), descending(by(item => item.name)))).map(item => item.name).toArray())
+			.to.deep.equal(['peter', 'jonathan', 'paul', 'mary']);
+	});
+
+	it('finds the top and bottom k items', ()=>{
+		let shuffled = [ 34, 1, 89, 13, 2, 55, 1, 21, 5, 8, 3 ];
+		expect(Stream.from(shuffled).topK(3)).to.deep.equal([89, 55, 34]);
+		expect(Stream.from(shuffled).bottomK(4)).to.deep.equal([1, 1, 2, 3]);
+		expect(Stream.from(shuffled).bottomK(20)).to.deep.equal(TEST_DATA);
+		expect(Stream.from(shuffled).topK(0)).to.deep.equal([]);
+		expect(Stream.from(TEST_MAP2).topK(2, by(item => item.grade)).map(item => item.name)).to.deep.equal(['jonathan', 'paul']);
+	});
+
+	it('finds the minimum and maximum items', ()=>{
+		let shuffled = [ 34, 1, 89, 13, 2, 55, 1, 21, 5, 8, 3 ];
+		expect(Stream.from(shuffled).min()).to.equal(1);
+		expect(Stream.from(shuffled).max()).to.equal(89);
+		expect(Stream.from(shuffled).max(descending(natural))).to.equal(1);
+		expect(Stream.EMPTY.min()).to.be.undefined;
+		expect(Stream.from(TEST_MAP2).minBy(item => item.name).name).to.equal('jonathan');
+		expect(Stream.from(TEST_MAP2).maxBy(item => item.grade).name).to.equal('jonathan');
+		expect(Stream.of({ k: 1, v: 'a' }, { k: 1, v: 'b' }).maxBy(item => item.k).v).to.equal('a');
+	});
+
+	it('merges sorted streams', ()=>{
+		let closed = false;
+		function* multiples(n) { try { for (let i = n;; i += n) yield i; } finally { closed = true; } }
+		expect(Stream.mergeSorted(natural, [1,4,9], [2,3,10,11], [], [5]).toArray()).to.deep.equal([1,2,3,4,5,9,10,11]);
+		expect(Stream.mergeSorted(natural, multiples(3), multiples(5)).take(6).toArray()).to.deep.equal([3,5,6,9,10,12]);
+		expect(closed).to.be.true;
+		let shards = [ [ { k: 1, s: 'a' }, { k: 3, s: 'a' } ], [ { k: 1, s: 'b' }, { k: 2, s: 'b' } ] ];
+		expect(Stream.mergeSorted(by(e => e.k), ...shards).map(e => e.k + e.s).toArray()).to.deep.equal(['1a', '1b', '2b', '3a']);
+		expect(Stream.mergeSorted(descending(), [9,4,1], [10,3,2]).toArray()).to.deep.equal([10,9,4,3,2,1]);
+	});
+
+	it('closes every merged stream when one fails', ()=>{
+		let closed = false;
+		function* multiples(n) { try { for (let i = n;; i += n) yield i; } finally { closed = true; } }
+		function* failing() { yield 4; throw new Error('failed'); }
+		let merged = Stream.mergeSorted(natural, multiples(3), failing());
+		expect(() => merged.toArray()).to.throw('failed');
+		expect(closed).to.be.true;
+	});
+
+	it('merges sorted streams, dropping duplicates', ()=>{
+		expect(Stream.mergeSortedUnique(natural, [1,1,4,9], [1,2,4,10], [4,9]).toArray()).to.deep.equal([1,2,4,9,10]);
+		expect(Stream.mergeSortedUnique(by(e => e.k), [ { k: 1, s: 'a' } ], [ { k: 1, s: 'b' } ]).toArray()).to.deep.equal([ { k: 1, s: 'a' } ]);
+	});
+
+	it('joins streams', ()=>{
+		let orders = [ [1, 'pen'], [2, 'ink'], [2, 'pad'], [4, 'nib'] ];
+		let customers = [ [2, 'bob'], [3, 'sue'], [4, 'ann'], [4, 'jim'] ];
+		let name = (order, customer) => (order ? order[1] : '-') + ':' + (customer ? customer[1] : '-');
+		for (let strategy of [ 'hash', 'merge' ]) {
+			let options = { strategy, combiner: name };
+			expect(Stream.from(orders).innerJoin(customers, options).toArray()).to.deep.equal(['ink:bob', 'pad:bob', 'nib:ann', 'nib:jim']);
+			expect(Stream.from(orders).leftJoin(customers, options).toArray()).to.deep.equal(['pen:-', 'ink:bob', 'pad:bob', 'nib:ann', 'nib:jim']);
+			expect(Stream.from(orders).fullOuterJoin(customers, options).toArray()).to.have.members(['pen:-', 'ink:bob', 'pad:bob', 'nib:ann', 'nib:jim', '-:sue']);
+			expect(Stream.from(orders).semiJoin(customers, { strategy }).toArray()).to.deep.equal([ [2, 'ink'], [2, 'pad'], [4, 'nib'] ]);
+			expect(Stream.from(orders).antiJoin(customers, { strategy }).toArray()).to.deep.equal([ [1, 'pen'] ]);
+		}
+		expect(Stream.from(orders).fullOuterJoin(customers, { strategy: 'merge' }).map(([order, customer]) => (order || customer)[0]).toArray()).to.deep.equal([1,2,2,3,4,4]);
+		expect(Stream.of(2, 4).innerJoin(customers, { key: id => id, otherKey: customer => customer[0] }).toArray()).to.deep.equal([ [2, [2, 'bob']], [4, [4, 'ann']], [4, [4, 'jim']] ]);
+		expect(() => Stream.from(orders).innerJoin(customers, { strategy: 'nested' })).to.throw(RangeError);
+	});
+
+	it('merge joins many-to-many on composite keys', ()=>{
+		let lexical = (a, b) => natural(a[0], b[0]) || natural(a[1], b[1]);
+		let lefts = [ [1, 'x', 'a1'], [1, 'x', 'a2'], [2, 'y', 'a3'] ];
+		let rights = [ [1, 'x', 'b1'], [1, 'x', 'b2'], [2, 'z', 'b3'] ];
+		let options = { key: row => [row[0], row[1]], strategy: 'merge', comparator: lexical, combiner: (left, right) => left[2] + ':' + right[2] };
+		expect(Stream.from(lefts).innerJoin(rights, options).toArray()).to.deep.equal(['a1:b1', 'a1:b2', 'a2:b1', 'a2:b2']);
+		expect(Stream.from([ new Date(0), new Date(0), new Date(1) ]).groupAdjacent(e => e, (a, b) => a.getTime() === b.getTime()).map(([, items]) => items.toArray().length).toArray()).to.deep.equal([2, 1]);
+	});
+
+	it('closes both streams when a merge join stops early', ()=>{
+		let closed = [];
+		function* sorted(name, n) { try { for (let i = 0; i < n; i++) yield [i]; } finally { closed.push(name); } }
+		expect(Stream.from(sorted('left', 10)).innerJoin(sorted('right', 10), { strategy: 'merge' }).take(2).toArray()).to.have.length(2);
+		expect(closed).to.have.members(['left', 'right']);
+	});
+
+	it('removes duplicate items', ()=>{
+		expect(Stream.of(3, 1, 3, 2, 1, 4).distinct().toArray()).to.deep.equal([3, 1, 2, 4]);
+		expect(Stream.from(TEST_MAP2).distinct(item => item.grade).map(item => item.name).toArray()).to.deep.equal(['peter', 'paul', 'jonathan']);
+		expect(Stream.of('a', 'b', 'a', 'c', 'c', 'a', 'b').distinct(e => e, { maxKeys: 2 }).toArray()).to.deep.equal(['a', 'b', 'c', 'b']);
+		expect(() => Stream.of(1).distinct(e => e, { maxKeys: 0 })).to.throw(RangeError);
+		expect(Stream.of(1, 1, 2, 2, 2, 1, 3, 3).distinctUntilChanged().toArray()).to.deep.equal([1, 2, 1, 3]);
+		expect(Stream.of('a', 'A', 'b', 'B', 'a').distinctUntilChanged((a, b) => a.toLowerCase() === b.toLowerCase()).toArray()).to.deep.equal(['a', 'b', 'a']);
+		expect(Stream.EMPTY.distinctUntilChanged().toArray()).to.deep.equal([]);
+	});
+
+	it('performs set operations on streams', ()=>{
+		expect(Stream.of(1, 2, 2, 3).union([3, 4, 1, 5]).toArray()).to.deep.equal([1, 2, 3, 4, 5]);
+		expect(Stream.of(1, 2, 2, 3, 4).intersect([4, 2, 6]).toArray()).to.deep.equal([2, 4]);
+		expect(Stream.of(1, 2, 2, 3, 4).except([4, 1]).toArray()).to.deep.equal([2, 3]);
+		let lower = s => s.toLowerCase();
+		expect(Stream.of('a', 'B', 'c').intersect(Stream.of('b', 'C'), lower).toArray()).to.deep.equal(['B', 'c']);
+		expect(Stream.of('a', 'B', 'c').except(['A'], lower).toArray()).to.deep.equal(['B', 'c']);
+	});
+
+	it('closes the source when a set operation or join is closed before it is read', ()=>{
+		let closed = 0;
+		let source = () => Stream.from({ [Symbol.iterator]: () => ({ next: () => ({ done: false, value: [1] }), return: () => { closed++; return { done: true }; } }) });
+		let keys = [];
+		let key = e => { keys.push(e); return e[0]; };
+		source().except([[1]]).return();
+		source().intersect([[1]]).return();
+		source().innerJoin([[1]]).return();
+		source().innerJoin([[1]], { strategy: 'merge' }).return();
+		expect(closed).to.equal(4);
+		expect(Stream.of([1], [2]).except([[2]], key).toArray()).to.deep.equal([[1]]);
+		expect(keys).to.have.length(3);
+	});
+
+	it('generates streams', ()=>{
+		expect(Stream.range(0, 10, 3).toArray()).to.deep.equal([0, 3, 6, 9]);
+		expect(Stream.range(5, 0, -2).toArray()).to.deep.equal([5, 3, 1]);
+		expect(Stream.range().take(3).toArray()).to.deep.equal([0, 1, 2]);
+		expect(() => Stream.range(0, 10, 0)).to.throw(RangeError);
+		expect(Stream.iterate(1, x => x * 2).take(5).toArray()).to.deep.equal([1, 2, 4, 8, 16]);
+		expect(Stream.repeat('a', 3).toArray()).to.deep.equal(['a', 'a', 'a']);
+		expect(Stream.repeat('a').take(2).toArray()).to.deep.equal(['a', 'a']);
+		expect(Stream.generate(i => i * i).take(4).toArray()).to.deep.equal([0, 1, 4, 9]);
+		let fibonacci = Stream.unfold([0, 1], ([a, b]) => [a, [b, a + b]]);
+		expect(fibonacci.takeWhile(n => n < 20).toArray()).to.deep.equal([0, 1, 1, 2, 3, 5, 8, 13]);
+		expect(Stream.unfold(3, n => n ? [n, n - 1] : undefined).toArray()).to.deep.equal([3, 2, 1]);
+	});
+
+	it('cycles through an iterable', ()=>{
+		let reads = 0;
+		function* source() { for (let item of [1, 2, 3]) { reads++; yield item; } }
+		expect(Stream.cycle(source()).take(7).toArray()).to.deep.equal([1, 2, 3, 1, 2, 3, 1]);
+		expect(reads).to.equal(3);
+		expect(Stream.cycle([]).toArray()).to.deep.equal([]);
+		let closed = false;
+		function* infinite() { try { for (let i = 0;; i++) yield i; } finally { closed = true; } }
+		expect(Stream.cycle(infinite()).take(2).toArray()).to.deep.equal([0, 1]);
+		expect(closed).to.be.true;
+	});
+
+	it('splits a stream with tee', ()=>{
+		let closed = false;
+		function* source() { try { for (let i = 0; i < 5; i++) yield i; } finally { closed = true; } }
+		let [ first, second ] = Stream.from(source()).tee();
+		expect(first.take(3).toArray()).to.deep.equal([0, 1, 2]);
+		expect(closed).to.be.false;
+		expect(second.take(2).toArray()).to.deep.equal([0, 1]);
+		expect(closed).to.be.true;
+		expect(Stream.range(0, 3).tee(3).map(stream => stream.toArray())).to.deep.equal([[0, 1, 2], [0, 1, 2], [0, 1, 2]]);
+	});
+
+	it('fails when a tee reader gets too far ahead', ()=>{
+		let [ fast, slow ] = Stream.range(0, 10).tee(2, { bufferSize: 2 });
+		expect(fast.take(2).toArray()).to.deep.equal([0, 1]);
+		let [ fast2, slow2 ] = Stream.range(0, 10).tee(2, { bufferSize: 2 });
+		fast2.next(); fast2.next();
+		expect(() => fast2.next()).to.throw(BufferOverflowError);
+		expect(slow2.next().value).to.equal(0);
+		expect(fast2.next().value).to.equal(2);
+		expect(slow.toArray()).to.deep.equal([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+	});
+
+	it('caches a stream so it can be read again', ()=>{
+		let reads = 0;
+		let cached = Stream.range(0, 5).map(item => { reads++; return item; }).cache();
+		expect(cached.toArray()).to.deep.equal([0, 1, 2, 3, 4]);
+		expect(cached.take(2).toArray()).to.deep.equal([0, 1]);
+		expect(cached.toArray()).to.deep.equal([0, 1, 2, 3, 4]);
+		expect(cached.filter(item => item % 2).toArray()).to.deep.equal([1, 3]);
+		expect(reads).to.equal(5);
+		expect(() => Stream.range(0, 10).cache({ maxSize: 3 }).toArray()).to.throw(BufferOverflowError);
+	});
+
+	it('closes a cached stream which is closed before it has been read', ()=>{
+		let closed = false;
+		function* numbers() { try { yield* [0, 1, 2, 3, 4]; } finally { closed = true; } }
+		let cached = Stream.from(numbers()).cache();
+		expect(cached.take(2).toArray()).to.deep.equal([0, 1]);
+		expect(closed).to.be.true;
+		expect(cached.toArray()).to.deep.equal([0, 1]);
+	});
+
+	it('converts to an async stream which closes this stream', ()=>{
+		let closed = false;
+		function* numbers() { try { yield* [1, 2, 3, 4]; } finally { closed = true; } }
+		let stream = Stream.from(numbers()).map(x => x * 2).toAsync();
+		expect(stream.next).to.be.a('function');
+		expect(stream.next()).to.be.an.instanceof(Promise);
+		return stream.take(2).toArray()
+			.then(items => expect(items).to.deep.equal([4, 6]))
+			.then(() => expect(closed).to.be.true);
+	});
+
 });